@@ -8,14 +8,27 @@ const authRoutes = require('./src/routes/authRoutes');
 const userRoutes = require('./src/routes/userRoutes');
 const contractRoutes = require('./src/routes/contractRoutes');
 const transactionRoutes = require('./src/routes/transactionRoutes');
+const adminRoutes = require('./src/routes/adminRoutes');
+const cropRoutes = require('./src/routes/cropRoutes');
 
 // Import middleware
 const { errorHandler, notFoundHandler } = require('./src/middleware/errorHandler');
+const { assertSecureConfig } = require('./src/config/jwt');
+const { startAutoConfirmJob } = require('./src/services/contractService');
+
+// Refuse to start with insecure signing keys outside development
+assertSecureConfig();
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Trust X-Forwarded-For when behind a reverse proxy (per-IP limits rely on req.ip)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
 // Middleware
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
@@ -47,6 +60,8 @@ app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/contracts', contractRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/crops', cropRoutes);
 
 // 404 handler
 app.use(notFoundHandler);
@@ -59,6 +74,9 @@ app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Health check: http://localhost:${PORT}/health`);
+
+  // Confirm deliveries buyers have not responded to
+  startAutoConfirmJob();
 });
 
 // Graceful shutdown
@@ -0,0 +1,122 @@
+require('dotenv').config();
+const prisma = require('../src/config/database');
+const { normalizeName } = require('../src/services/cropCatalogService');
+const { OPEN_STATUSES } = require('../src/services/contractStateMachine');
+
+/**
+ * Map of every normalised name and alias to its catalog entry
+ */
+const byName = (entries, names) => {
+  const map = new Map();
+
+  for (const entry of entries) {
+    for (const name of names(entry)) {
+      map.set(normalizeName(name), entry);
+    }
+  }
+
+  return map;
+};
+
+/**
+ * Print the values that matched nothing, with how many listings use each
+ */
+const report = (label, unmapped) => {
+  if (unmapped.length === 0) {
+    return;
+  }
+
+  console.log(`\n${label} not in the catalog (add them as aliases and run again):`);
+  for (const { value, count } of unmapped) {
+    console.log(`  ${JSON.stringify(value)}: ${count} listing(s)`);
+  }
+};
+
+/**
+ * Link listings created before the crop catalog to its entries. Crops and
+ * units are matched by name or alias, ignoring case and extra spaces, as for
+ * new listings. Mapped listings take the catalog's crop name and unit code,
+ * and so do their open contracts. Safe to run again after adding aliases.
+ */
+const backfill = async () => {
+  const [crops, units] = await Promise.all([
+    prisma.crop.findMany(),
+    prisma.measurementUnit.findMany(),
+  ]);
+  const cropsByName = byName(crops, crop => [crop.name, ...crop.aliases]);
+  const unitsByName = byName(units, unit => [unit.code, ...unit.aliases]);
+
+  const [cropTypes, listingUnits] = await Promise.all([
+    prisma.contractListing.groupBy({
+      by: ['cropType'],
+      where: { cropId: null },
+      _count: { _all: true },
+    }),
+    prisma.contractListing.groupBy({
+      by: ['unit'],
+      where: { unit: { notIn: units.map(unit => unit.code) } },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const unmappedCrops = [];
+  const unmappedUnits = [];
+  let listings = 0;
+  let contracts = 0;
+
+  for (const { cropType, _count } of cropTypes) {
+    const crop = cropsByName.get(normalizeName(cropType));
+
+    if (!crop) {
+      unmappedCrops.push({ value: cropType, count: _count._all });
+      continue;
+    }
+
+    const counts = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.contractListing.updateMany({
+        where: { cropId: null, cropType },
+        data: { cropId: crop.id, cropType: crop.name },
+      });
+      const updated = await tx.contract.updateMany({
+        where: {
+          listing: { cropId: crop.id },
+          status: { in: OPEN_STATUSES },
+          cropType: { not: crop.name },
+        },
+        data: { cropType: crop.name },
+      });
+
+      return [count, updated.count];
+    });
+
+    listings += counts[0];
+    contracts += counts[1];
+  }
+
+  for (const { unit, _count } of listingUnits) {
+    const measurementUnit = unitsByName.get(normalizeName(unit));
+
+    if (!measurementUnit) {
+      unmappedUnits.push({ value: unit, count: _count._all });
+      continue;
+    }
+
+    const { count } = await prisma.contractListing.updateMany({
+      where: { unit },
+      data: { unit: measurementUnit.code },
+    });
+
+    listings += count;
+  }
+
+  console.log(`Mapped ${listings} listing crop(s) and unit(s); renamed the crop on ${contracts} open contract(s)`);
+  report('Crop types', unmappedCrops);
+  report('Units', unmappedUnits);
+};
+
+backfill()
+  .catch((error) => {
+    console.error('Mapping listings onto the crop catalog failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
@@ -0,0 +1,40 @@
+require('dotenv').config();
+const prisma = require('../src/config/database');
+const contractService = require('../src/services/contractService');
+const { AGREED_STATUSES, addFirstVersion } = require('../src/services/amendmentService');
+
+/**
+ * Give every contract accepted before versioning existed its version 1, from
+ * its current terms. Each contract is locked and re-checked in its own
+ * transaction, so the script is safe to run while the API is up and to run
+ * again.
+ */
+const backfill = async () => {
+  const contracts = await prisma.contract.findMany({
+    where: { version: 0, status: { in: AGREED_STATUSES } },
+    select: { id: true },
+  });
+
+  let versioned = 0;
+
+  for (const { id } of contracts) {
+    const created = await prisma.$transaction(async (tx) => {
+      const contract = await contractService.lockContract(tx, id);
+
+      return (await addFirstVersion(tx, contract)) !== contract;
+    });
+
+    if (created) {
+      versioned += 1;
+    }
+  }
+
+  console.log(`Created version 1 for ${versioned} contract(s)`);
+};
+
+backfill()
+  .catch((error) => {
+    console.error('Creating contract versions failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
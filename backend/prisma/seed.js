@@ -0,0 +1,115 @@
+require('dotenv').config();
+const prisma = require('../src/config/database');
+const cropCatalogService = require('../src/services/cropCatalogService');
+
+// Units of weight the catalog starts with; aliases are stored lowercase
+const UNITS = [
+  { code: 'kg', name: 'Kilogram', aliases: ['kgs', 'kilo', 'kilogram', 'kilograms'], kgFactor: 1 },
+  { code: 'quintal', name: 'Quintal', aliases: ['qtl', 'qtls', 'quintals'], kgFactor: 100 },
+  { code: 'tonne', name: 'Tonne', aliases: ['ton', 'tons', 'tonnes', 'mt'], kgFactor: 1000 },
+];
+
+const GRAIN_UNITS = ['kg', 'quintal', 'tonne'];
+const GRADES = ['A', 'B', 'C'];
+
+// Crops the catalog starts with, including common local-language names
+const CROPS = [
+  {
+    name: 'Wheat',
+    aliases: ['gehun', 'gahu'],
+    units: GRAIN_UNITS,
+    grades: GRADES,
+    varieties: [
+      { name: 'Sharbati', aliases: [] },
+      { name: 'Lokwan', aliases: ['lok-1'] },
+      { name: 'Durum', aliases: ['khapli'] },
+    ],
+  },
+  {
+    name: 'Rice',
+    aliases: ['chawal', 'dhan', 'paddy'],
+    units: GRAIN_UNITS,
+    grades: GRADES,
+    varieties: [
+      { name: 'Basmati', aliases: [] },
+      { name: 'Sona Masoori', aliases: ['sona masuri'] },
+      { name: 'Kolam', aliases: [] },
+    ],
+  },
+  { name: 'Maize', aliases: ['corn', 'makka', 'makai'], units: GRAIN_UNITS, grades: GRADES },
+  { name: 'Soybean', aliases: ['soya', 'soyabean', 'soya bean'], units: GRAIN_UNITS, grades: GRADES },
+  { name: 'Chickpea', aliases: ['chana', 'gram', 'harbhara'], units: GRAIN_UNITS, grades: GRADES },
+  { name: 'Pigeon Pea', aliases: ['tur', 'toor', 'arhar'], units: GRAIN_UNITS, grades: GRADES },
+  { name: 'Mustard', aliases: ['sarson', 'rai'], units: GRAIN_UNITS, grades: GRADES },
+  { name: 'Cotton', aliases: ['kapas', 'kapus'], units: ['kg', 'quintal'], grades: GRADES },
+  { name: 'Sugarcane', aliases: ['ganna', 'oos'], units: ['quintal', 'tonne'], grades: [] },
+  { name: 'Onion', aliases: ['pyaz', 'kanda'], units: GRAIN_UNITS, grades: GRADES },
+  { name: 'Potato', aliases: ['aloo', 'batata'], units: GRAIN_UNITS, grades: GRADES },
+  { name: 'Tomato', aliases: ['tamatar'], units: ['kg', 'quintal'], grades: GRADES },
+];
+
+/**
+ * Add an entry through the catalog service, so names are normalised and
+ * checked as when an admin adds them. Returns false if a name or alias is
+ * already taken.
+ */
+const add = async (create) => {
+  try {
+    await prisma.$transaction(create);
+    return true;
+  } catch (error) {
+    if (error.code === 'NAME_IN_USE') {
+      console.warn(`Skipped: ${error.details}`);
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Add the starting units, crops and their varieties. Entries that already
+ * exist are left as they are, so running it again never undoes changes made
+ * by admins.
+ */
+const seed = async () => {
+  let added = 0;
+
+  for (const unit of UNITS) {
+    const existing = await prisma.measurementUnit.findUnique({ where: { code: unit.code } });
+
+    if (!existing && await add(tx => cropCatalogService.createUnit(tx, unit))) {
+      added++;
+    }
+  }
+
+  for (const { varieties = [], ...entry } of CROPS) {
+    const existing = await prisma.crop.findFirst({
+      where: { name: { equals: entry.name, mode: 'insensitive' } },
+    });
+
+    if (existing) {
+      continue;
+    }
+
+    const created = await add(async (tx) => {
+      const crop = await cropCatalogService.createCrop(tx, entry);
+
+      for (const variety of varieties) {
+        await cropCatalogService.addVariety(tx, crop.id, variety);
+      }
+    });
+
+    if (created) {
+      added++;
+    }
+  }
+
+  console.log(`Crop catalog seeded: ${added} new units and crops`);
+};
+
+seed()
+  .catch((error) => {
+    console.error('Seeding the crop catalog failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
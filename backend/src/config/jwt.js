@@ -1,33 +1,149 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
-const JWT_ACCESS_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '24h';
-const JWT_REFRESH_EXPIRY = process.env.JWT_REFRESH_EXPIRY || '30d';
+const DEFAULT_JWT_SECRET = 'your-super-secret-jwt-key-change-this-in-production';
+const JWT_SECRET = process.env.JWT_SECRET || DEFAULT_JWT_SECRET;
+const JWT_ISSUER = process.env.JWT_ISSUER || 'safalya';
+const JWT_ALGORITHM = 'HS256';
+
+/**
+ * Token types. Each type has its own audience, expiry and keyring, so a
+ * token minted for one purpose is never accepted for another.
+ */
+const TOKEN_TYPES = {
+  access: {
+    audience: 'safalya:access',
+    expiresIn: process.env.JWT_ACCESS_EXPIRY || '24h',
+    keysEnv: 'JWT_ACCESS_KEYS',
+  },
+  refresh: {
+    audience: 'safalya:refresh',
+    expiresIn: process.env.JWT_REFRESH_EXPIRY || '30d',
+    keysEnv: 'JWT_REFRESH_KEYS',
+  },
+  onboarding: {
+    audience: 'safalya:onboarding',
+    expiresIn: process.env.JWT_ONBOARDING_EXPIRY || '1h',
+    keysEnv: 'JWT_ONBOARDING_KEYS',
+  },
+  two_factor: {
+    audience: 'safalya:two_factor',
+    expiresIn: process.env.JWT_TWO_FACTOR_EXPIRY || '5m',
+    keysEnv: 'JWT_TWO_FACTOR_KEYS',
+  },
+};
+
+/**
+ * Parse a keyring from "kid1:secret1,kid2:secret2".
+ * The first key signs new tokens; every listed key is accepted when verifying,
+ * so a new key can be prepended and the old one removed once its tokens expire.
+ * Without explicit keys, a per-type key is derived from JWT_SECRET.
+ */
+const loadKeyring = (type) => {
+  const raw = process.env[TOKEN_TYPES[type].keysEnv];
+
+  if (!raw) {
+    return {
+      explicit: false,
+      keys: [{
+        kid: `${type}-default`,
+        secret: crypto.createHmac('sha256', JWT_SECRET).update(type).digest('hex'),
+      }],
+    };
+  }
+
+  const keys = raw.split(',').map(entry => entry.trim()).filter(Boolean).map((entry) => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(`${TOKEN_TYPES[type].keysEnv} entries must be in "kid:secret" format`);
+    }
+    return {
+      kid: entry.substring(0, separator),
+      secret: entry.substring(separator + 1),
+    };
+  });
+
+  return { explicit: true, keys };
+};
+
+const keyrings = Object.keys(TOKEN_TYPES).reduce((acc, type) => {
+  acc[type] = loadKeyring(type);
+  return acc;
+}, {});
+
+/**
+ * Sign a token of the given type with the active key
+ */
+const signToken = (type, payload, options = {}) => {
+  const config = TOKEN_TYPES[type];
+  const [activeKey] = keyrings[type].keys;
+
+  return jwt.sign({ ...payload, type }, activeKey.secret, {
+    algorithm: JWT_ALGORITHM,
+    expiresIn: options.expiresIn || config.expiresIn,
+    audience: config.audience,
+    issuer: JWT_ISSUER,
+    keyid: activeKey.kid,
+  });
+};
 
 /**
  * Generate access token
  */
 const generateAccessToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_ACCESS_EXPIRY,
-  });
+  return signToken('access', payload);
 };
 
 /**
  * Generate refresh token
  */
 const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_REFRESH_EXPIRY,
-  });
+  return signToken('refresh', payload);
 };
 
 /**
- * Verify token
+ * Generate onboarding token (only accepted by the complete-profile endpoint)
  */
-const verifyToken = (token) => {
+const generateOnboardingToken = (payload) => {
+  return signToken('onboarding', payload);
+};
+
+/**
+ * Generate two-factor challenge token (only accepted by the 2FA login step)
+ */
+const generateTwoFactorToken = (payload) => {
+  return signToken('two_factor', payload);
+};
+
+/**
+ * Verify a token of the expected type.
+ * Returns the payload, or null if the signature, kid, audience or type do not match.
+ */
+const verifyToken = (token, expectedType) => {
+  const config = TOKEN_TYPES[expectedType];
+
+  if (!config) {
+    throw new Error(`Unknown token type: ${expectedType}`);
+  }
+
   try {
-    return jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header.kid) {
+      return null;
+    }
+
+    const key = keyrings[expectedType].keys.find(k => k.kid === decoded.header.kid);
+    if (!key) {
+      return null;
+    }
+
+    const payload = jwt.verify(token, key.secret, {
+      algorithms: [JWT_ALGORITHM],
+      audience: config.audience,
+      issuer: JWT_ISSUER,
+    });
+
+    return payload.type === expectedType ? payload : null;
   } catch (error) {
     return null;
   }
@@ -40,13 +156,35 @@ const decodeToken = (token) => {
   return jwt.decode(token);
 };
 
+/**
+ * Refuse to run with the hard-coded default secret outside development
+ */
+const assertSecureConfig = () => {
+  const env = process.env.NODE_ENV || 'development';
+  if (env === 'development') {
+    return;
+  }
+
+  Object.keys(TOKEN_TYPES).forEach((type) => {
+    const keyring = keyrings[type];
+
+    if (!keyring.explicit && JWT_SECRET === DEFAULT_JWT_SECRET) {
+      throw new Error(`JWT_SECRET (or ${TOKEN_TYPES[type].keysEnv}) must be set to a strong secret when NODE_ENV=${env}`);
+    }
+
+    if (keyring.keys.some(key => key.secret === DEFAULT_JWT_SECRET)) {
+      throw new Error(`${TOKEN_TYPES[type].keysEnv} must not use the default secret when NODE_ENV=${env}`);
+    }
+  });
+};
+
 module.exports = {
+  TOKEN_TYPES,
   generateAccessToken,
   generateRefreshToken,
+  generateOnboardingToken,
+  generateTwoFactorToken,
   verifyToken,
   decodeToken,
+  assertSecureConfig,
 };
-
-
-
-
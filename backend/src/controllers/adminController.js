@@ -0,0 +1,1062 @@
+const prisma = require('../config/database');
+const tokenService = require('../services/tokenService');
+const auditService = require('../services/auditService');
+const listingService = require('../services/listingService');
+const contractService = require('../services/contractService');
+const contractStateMachine = require('../services/contractStateMachine');
+const deliveryScheduleService = require('../services/deliveryScheduleService');
+const disputeService = require('../services/disputeService');
+const cropCatalogService = require('../services/cropCatalogService');
+const { deleteUploadedFiles } = require('../middleware/upload');
+const { getPageParams, paginate, buildPagination } = require('../utils/pagination');
+
+const userSummarySelect = {
+  id: true,
+  fullName: true,
+  email: true,
+  phone: true,
+  role: true,
+  profileStatus: true,
+  isVerified: true,
+  emailVerifiedAt: true,
+  phoneVerifiedAt: true,
+  isActive: true,
+  twoFactorEnabledAt: true,
+  createdAt: true,
+};
+
+const partySelect = {
+  id: true,
+  fullName: true,
+  phone: true,
+  email: true,
+};
+
+/**
+ * Turn groupBy rows into { value: count }
+ */
+const toCounts = (rows, key) => {
+  return rows.reduce((acc, row) => {
+    acc[row[key] || 'none'] = row._count._all;
+    return acc;
+  }, {});
+};
+
+/**
+ * Send the 400 response for a missing reason
+ */
+const sendReasonRequired = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Reason is required.',
+    data: null,
+    error: {
+      code: 'VALIDATION_ERROR',
+      details: 'Provide a reason; it is recorded in the audit trail',
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Send the 404 response for a missing record
+ */
+const sendNotFound = (res, entity) => {
+  return res.status(404).json({
+    success: false,
+    message: `${entity} not found.`,
+    data: null,
+    error: {
+      code: 'NOT_FOUND',
+      details: `${entity} does not exist`,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Platform-wide counts
+ */
+const getStats = async (req, res, next) => {
+  try {
+    const [
+      usersByRole,
+      activeUsers,
+      verifiedUsers,
+      listingsByStatus,
+      contractsByStatus,
+      completedValue,
+    ] = await Promise.all([
+      prisma.user.groupBy({ by: ['role'], _count: { _all: true } }),
+      prisma.user.count({ where: { isActive: true } }),
+      prisma.user.count({ where: { isVerified: true } }),
+      prisma.contractListing.groupBy({ by: ['status'], _count: { _all: true } }),
+      prisma.contract.groupBy({ by: ['status'], _count: { _all: true } }),
+      prisma.contract.aggregate({
+        where: { status: 'completed' },
+        // What was actually paid, after partial receipts and dispute refunds
+        _sum: { settledAmount: true },
+      }),
+    ]);
+
+    const byRole = toCounts(usersByRole, 'role');
+
+    res.json({
+      success: true,
+      message: 'Platform statistics retrieved successfully.',
+      data: {
+        users: {
+          total: Object.values(byRole).reduce((sum, count) => sum + count, 0),
+          active: activeUsers,
+          verified: verifiedUsers,
+          byRole,
+        },
+        listings: toCounts(listingsByStatus, 'status'),
+        contracts: toCounts(contractsByStatus, 'status'),
+        completedContractValue: completedValue._sum.settledAmount || 0,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List/search users
+ */
+const getUsers = async (req, res, next) => {
+  try {
+    const { search, role, isActive, isVerified } = req.query;
+    const page = getPageParams(req.query);
+    const where = {};
+
+    if (search) {
+      where.OR = [
+        { fullName: { contains: search, mode: 'insensitive' } },
+        { email: { contains: search, mode: 'insensitive' } },
+        { phone: { contains: search } },
+      ];
+    }
+
+    if (role && ['farmer', 'buyer', 'admin'].includes(role)) {
+      where.role = role;
+    }
+
+    if (isActive === 'true' || isActive === 'false') {
+      where.isActive = isActive === 'true';
+    }
+
+    if (isVerified === 'true' || isVerified === 'false') {
+      where.isVerified = isVerified === 'true';
+    }
+
+    const result = await paginate(prisma.user, {
+      where,
+      orderBy: { createdAt: 'desc' },
+      select: userSummarySelect,
+    }, page);
+
+    res.json({
+      success: true,
+      message: 'Users retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a user with bank details, locations and activity counts
+ */
+const getUserById = async (req, res, next) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: {
+        ...userSummarySelect,
+        profilePictureUrl: true,
+        updatedAt: true,
+        locations: true,
+        bankDetails: true,
+        _count: {
+          select: {
+            contractListings: true,
+            contractsAsFarmer: true,
+            contractsAsBuyer: true,
+            transactions: true,
+          },
+        },
+      },
+    });
+
+    if (!user) {
+      return sendNotFound(res, 'User');
+    }
+
+    res.json({
+      success: true,
+      message: 'User retrieved successfully.',
+      data: user,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reactivate a deactivated account
+ */
+const activateUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+
+    if (!user) {
+      return sendNotFound(res, 'User');
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.user.update({
+        where: { id: user.id },
+        data: { isActive: true },
+        select: userSummarySelect,
+      });
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'user.activate',
+        targetType: 'user',
+        targetId: user.id,
+        reason,
+        details: { previous: { isActive: user.isActive } },
+        ipAddress: req.ip,
+      }, tx);
+
+      return result;
+    });
+
+    res.json({
+      success: true,
+      message: 'User activated successfully.',
+      data: updated,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Deactivate an account and sign it out everywhere
+ */
+const deactivateUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (!reason) {
+      return sendReasonRequired(res);
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account.',
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: 'Ask another admin to deactivate this account',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+
+    if (!user) {
+      return sendNotFound(res, 'User');
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.user.update({
+        where: { id: user.id },
+        data: { isActive: false },
+        select: userSummarySelect,
+      });
+
+      const revokedSessions = await tokenService.revokeAllForUser(user.id, tx);
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'user.deactivate',
+        targetType: 'user',
+        targetId: user.id,
+        reason,
+        details: { previous: { isActive: user.isActive }, revokedSessions },
+        ipAddress: req.ip,
+      }, tx);
+
+      return result;
+    });
+
+    res.json({
+      success: true,
+      message: 'User deactivated successfully.',
+      data: updated,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a user's email and phone as verified (e.g. after a manual KYC check)
+ */
+const verifyUser = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    const user = await prisma.user.findUnique({ where: { id: req.params.id } });
+
+    if (!user) {
+      return sendNotFound(res, 'User');
+    }
+
+    const now = new Date();
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.user.update({
+        where: { id: user.id },
+        data: {
+          isVerified: true,
+          emailVerifiedAt: user.emailVerifiedAt || now,
+          phoneVerifiedAt: user.phoneVerifiedAt || now,
+        },
+        select: userSummarySelect,
+      });
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'user.verify',
+        targetType: 'user',
+        targetId: user.id,
+        reason,
+        details: {
+          previous: {
+            isVerified: user.isVerified,
+            emailVerifiedAt: user.emailVerifiedAt,
+            phoneVerifiedAt: user.phoneVerifiedAt,
+          },
+        },
+        ipAddress: req.ip,
+      }, tx);
+
+      return result;
+    });
+
+    res.json({
+      success: true,
+      message: 'User verified successfully.',
+      data: updated,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a user's bank details as verified
+ */
+const verifyBankDetails = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    const bankDetails = await prisma.bankDetails.findUnique({
+      where: { userId: req.params.id },
+    });
+
+    if (!bankDetails) {
+      return sendNotFound(res, 'Bank details');
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      const result = await tx.bankDetails.update({
+        where: { id: bankDetails.id },
+        data: { isVerified: true },
+      });
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'bank_details.verify',
+        targetType: 'user',
+        targetId: req.params.id,
+        reason,
+        details: { bankDetailsId: bankDetails.id, previous: { isVerified: bankDetails.isVerified } },
+        ipAddress: req.ip,
+      }, tx);
+
+      return result;
+    });
+
+    res.json({
+      success: true,
+      message: 'Bank details verified successfully.',
+      data: updated,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List all contracts
+ */
+const getContracts = async (req, res, next) => {
+  try {
+    const { status, userId } = req.query;
+    const page = getPageParams(req.query);
+    const where = {};
+
+    if (status && contractStateMachine.CONTRACT_STATUSES.includes(status)) {
+      where.status = status;
+    }
+
+    if (userId) {
+      where.OR = [
+        { farmerId: userId },
+        { buyerId: userId },
+      ];
+    }
+
+    const result = await paginate(prisma.contract, {
+      where,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        farmer: { select: partySelect },
+        buyer: { select: partySelect },
+      },
+    }, page);
+
+    res.json({
+      success: true,
+      message: 'Contracts retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get any contract with its listing, status history and admin audit trail
+ */
+const getContractById = async (req, res, next) => {
+  try {
+    const contract = await prisma.contract.findUnique({
+      where: { id: req.params.id },
+      include: {
+        listing: {
+          include: {
+            location: true,
+          },
+        },
+        farmer: { select: partySelect },
+        buyer: { select: partySelect },
+      },
+    });
+
+    if (!contract) {
+      return sendNotFound(res, 'Contract');
+    }
+
+    const [history, { entries }] = await Promise.all([
+      contractStateMachine.getHistory(contract.id, { limit: 100 }),
+      auditService.listAuditLogs({
+        targetType: 'contract',
+        targetId: contract.id,
+        page: { limit: 50 },
+      }),
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Contract retrieved successfully.',
+      data: {
+        ...contract,
+        history: history.items,
+        auditTrail: entries,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel any contract that is not yet completed
+ */
+const cancelContract = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (!reason) {
+      return sendReasonRequired(res);
+    }
+
+    const contract = await prisma.contract.findUnique({ where: { id: req.params.id } });
+
+    if (!contract) {
+      return sendNotFound(res, 'Contract');
+    }
+
+    if (['completed', 'cancelled'].includes(contract.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Contract is already ${contract.status}.`,
+        data: null,
+        error: {
+          code: 'INVALID_STATUS',
+          details: 'Only open contracts can be cancelled',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const locked = await contractService.lockContract(tx, contract.id);
+
+      await deliveryScheduleService.assertNothingReceived(tx, locked.id);
+
+      await contractStateMachine.applyTransition(tx, locked, 'admin_cancel', {
+        actorId: req.user.id,
+        actorRole: 'admin',
+        payload: { reason },
+        reasonCode: 'admin_action',
+        notes: reason,
+        data: { openRequestKey: null },
+      });
+
+      await tx.contractOffer.updateMany({
+        where: { contractId: locked.id, status: 'pending' },
+        data: { status: 'rejected', respondedAt: new Date() },
+      });
+
+      // Return the quantity of an accepted contract to the listing
+      if (contractStateMachine.ALLOCATED_STATUSES.includes(locked.status)) {
+        await listingService.releaseQuantity(tx, locked.listingId, locked.quantity);
+      }
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'contract.cancel',
+        targetType: 'contract',
+        targetId: locked.id,
+        reason,
+        details: { previous: { status: locked.status } },
+        ipAddress: req.ip,
+      }, tx);
+    });
+
+    res.json({
+      success: true,
+      message: 'Contract cancelled successfully.',
+      data: null,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Take down a listing; pending requests on it are cancelled
+ */
+const removeListing = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    if (!reason) {
+      return sendReasonRequired(res);
+    }
+
+    const listing = await prisma.contractListing.findUnique({ where: { id: req.params.id } });
+
+    if (!listing) {
+      return sendNotFound(res, 'Listing');
+    }
+
+    if (listing.status === 'removed') {
+      return res.status(409).json({
+        success: false,
+        message: 'Listing is already removed.',
+        data: null,
+        error: {
+          code: 'INVALID_STATUS',
+          details: 'Listing has already been taken down',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const cancelled = await prisma.$transaction(async (tx) => {
+      await contractService.lockListing(tx, listing.id);
+
+      await tx.contractListing.update({
+        where: { id: listing.id },
+        data: { status: 'removed' },
+      });
+
+      const requests = await tx.contract.findMany({
+        where: { listingId: listing.id, status: 'requested' },
+        include: {
+          buyer: { select: partySelect },
+        },
+      });
+
+      for (const request of requests) {
+        await contractStateMachine.applyTransition(tx, request, 'admin_cancel', {
+          actorId: req.user.id,
+          actorRole: 'admin',
+          payload: { reason },
+          reasonCode: 'listing_removed',
+          notes: reason,
+          data: { openRequestKey: null },
+        });
+      }
+
+      await tx.contractOffer.updateMany({
+        where: {
+          contractId: { in: requests.map(request => request.id) },
+          status: 'pending',
+        },
+        data: { status: 'rejected', respondedAt: new Date() },
+      });
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'listing.remove',
+        targetType: 'listing',
+        targetId: listing.id,
+        reason,
+        details: { previous: { status: listing.status }, cancelledRequests: requests.length },
+        ipAddress: req.ip,
+      }, tx);
+
+      return requests.map(request => ({
+        ...request,
+        reason: 'the listing was taken down',
+      }));
+    });
+
+    // Only tell buyers once the cancellation has committed
+    await contractService.notifyDeclinedBuyers(cancelled);
+
+    res.json({
+      success: true,
+      message: 'Listing removed successfully.',
+      data: {
+        cancelledRequests: cancelled.length,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List disputes, oldest first (filter by `status`, `assignedTo`; `assignedTo=me`
+ * for your own queue)
+ */
+const getDisputes = async (req, res, next) => {
+  try {
+    const { status, assignedTo } = req.query;
+    const page = getPageParams(req.query);
+
+    const result = await disputeService.listDisputes({
+      status: ['open', 'under_review', 'resolved'].includes(status) ? status : undefined,
+      assignedAdminId: assignedTo === 'me' ? req.user.id : assignedTo,
+      page,
+    });
+
+    res.json({
+      success: true,
+      message: 'Disputes retrieved successfully.',
+      data: result.disputes,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a dispute with its contract and message thread
+ */
+const getDisputeById = async (req, res, next) => {
+  try {
+    const dispute = await disputeService.getDispute(req.params.id);
+
+    if (!dispute) {
+      return sendNotFound(res, 'Dispute');
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute retrieved successfully.',
+      data: dispute,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Assign a dispute to an admin (`adminId`, default: yourself)
+ */
+const assignDispute = async (req, res, next) => {
+  try {
+    const adminId = (req.body || {}).adminId || req.user.id;
+
+    const dispute = await disputeService.getDispute(req.params.id);
+
+    if (!dispute) {
+      return sendNotFound(res, 'Dispute');
+    }
+
+    const assigned = await prisma.$transaction(async (tx) => {
+      const updated = await disputeService.assignDispute({ dispute, adminId }, tx);
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'dispute.assign',
+        targetType: 'dispute',
+        targetId: dispute.id,
+        details: {
+          previous: { assignedAdminId: dispute.assignedAdminId },
+          assignedAdminId: updated.assignedAdminId,
+        },
+        ipAddress: req.ip,
+      }, tx);
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Dispute assigned successfully.',
+      data: assigned,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reply on a dispute as an admin, with optional `files`
+ */
+const addDisputeMessage = async (req, res, next) => {
+  // Until the evidence is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const dispute = await disputeService.getDispute(req.params.id);
+
+    if (!dispute) {
+      await deleteUploadedFiles(req.files);
+      return sendNotFound(res, 'Dispute');
+    }
+
+    const message = await disputeService.addMessage({
+      dispute,
+      authorId: req.user.id,
+      body: req.body.body,
+      files: req.files,
+    });
+
+    stored = true;
+
+    res.status(201).json({
+      success: true,
+      message: 'Message added successfully.',
+      data: message,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Resolve a dispute: `outcome` refund, partial_settlement (with `amount`) or
+ * dismissed, plus optional `notes`
+ */
+const resolveDispute = async (req, res, next) => {
+  try {
+    const { outcome, amount, notes } = req.body;
+
+    const { dispute, contract } = await disputeService.resolveDispute({
+      disputeId: req.params.id,
+      adminId: req.user.id,
+      outcome,
+      amount,
+      notes,
+    }, (tx, resolved) => auditService.recordAudit({
+      actorId: req.user.id,
+      action: 'dispute.resolve',
+      targetType: 'dispute',
+      targetId: resolved.id,
+      reason: notes,
+      details: {
+        contractId: resolved.contractId,
+        outcome,
+        refundAmount: resolved.refundAmount ? resolved.refundAmount.toString() : null,
+      },
+      ipAddress: req.ip,
+    }, tx));
+
+    const refundText = dispute.refundAmount ? ` ${dispute.refundAmount} is refunded to the buyer.` : '';
+
+    await disputeService.notifyParties(contract, {
+      subject: 'Your contract dispute was resolved',
+      text: `The dispute on contract ${contract.id} (${contract.cropType}) was resolved: `
+        + `${outcome.replace(/_/g, ' ')}.${refundText}`,
+    });
+
+    res.json({
+      success: true,
+      message: 'Dispute resolved successfully.',
+      data: dispute,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a crop to the catalog (`name`, optional `aliases`, `units`, `grades`)
+ */
+const createCrop = async (req, res, next) => {
+  try {
+    const crop = await prisma.$transaction(async (tx) => {
+      const created = await cropCatalogService.createCrop(tx, req.body);
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'crop.create',
+        targetType: 'crop',
+        targetId: created.id,
+        details: { name: created.name },
+        ipAddress: req.ip,
+      }, tx);
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Crop created successfully.',
+      data: crop,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a catalog crop (any of `name`, `aliases`, `units`, `grades`,
+ * `isActive`). Inactive crops cannot be listed but existing listings stay.
+ */
+const updateCrop = async (req, res, next) => {
+  try {
+    const { name, aliases, units, grades, isActive } = req.body || {};
+
+    const crop = await prisma.$transaction(async (tx) => {
+      const { crop: updated, previous } = await cropCatalogService.updateCrop(tx, req.params.id, {
+        name, aliases, units, grades, isActive,
+      });
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'crop.update',
+        targetType: 'crop',
+        targetId: updated.id,
+        details: {
+          previous: {
+            name: previous.name,
+            aliases: previous.aliases,
+            units: previous.units,
+            grades: previous.grades,
+            isActive: previous.isActive,
+          },
+        },
+        ipAddress: req.ip,
+      }, tx);
+
+      return updated;
+    });
+
+    res.json({
+      success: true,
+      message: 'Crop updated successfully.',
+      data: crop,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a variety to a catalog crop (`name`, optional `aliases`)
+ */
+const addCropVariety = async (req, res, next) => {
+  try {
+    const variety = await prisma.$transaction(async (tx) => {
+      const created = await cropCatalogService.addVariety(tx, req.params.id, req.body);
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'crop.add_variety',
+        targetType: 'crop',
+        targetId: req.params.id,
+        details: { varietyId: created.id, name: created.name },
+        ipAddress: req.ip,
+      }, tx);
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variety added successfully.',
+      data: variety,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add a unit of measurement (`code`, `name`, optional `aliases`, `kgFactor`)
+ */
+const createUnit = async (req, res, next) => {
+  try {
+    const unit = await prisma.$transaction(async (tx) => {
+      const created = await cropCatalogService.createUnit(tx, req.body);
+
+      await auditService.recordAudit({
+        actorId: req.user.id,
+        action: 'unit.create',
+        targetType: 'unit',
+        targetId: created.code,
+        details: { name: created.name },
+        ipAddress: req.ip,
+      }, tx);
+
+      return created;
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Unit created successfully.',
+      data: unit,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Browse the audit trail
+ */
+const getAuditLogs = async (req, res, next) => {
+  try {
+    const { actorId, action, targetType, targetId } = req.query;
+    const page = getPageParams(req.query);
+
+    const result = await auditService.listAuditLogs({
+      actorId,
+      action,
+      targetType,
+      targetId,
+      page,
+    });
+
+    res.json({
+      success: true,
+      message: 'Audit logs retrieved successfully.',
+      data: result.entries,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getStats,
+  getUsers,
+  getUserById,
+  activateUser,
+  deactivateUser,
+  verifyUser,
+  verifyBankDetails,
+  getContracts,
+  getContractById,
+  cancelContract,
+  removeListing,
+  getDisputes,
+  getDisputeById,
+  assignDispute,
+  addDisputeMessage,
+  resolveDispute,
+  createCrop,
+  updateCrop,
+  addCropVariety,
+  createUnit,
+  getAuditLogs,
+};
@@ -0,0 +1,163 @@
+const contractService = require('../services/contractService');
+const amendmentService = require('../services/amendmentService');
+const { getPageParams, buildPagination } = require('../utils/pagination');
+
+/**
+ * Send the 404 response for a contract the user cannot see
+ */
+const sendContractNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Contract not found.',
+    data: null,
+    error: {
+      code: 'NOT_FOUND',
+      details: 'Contract does not exist or you do not have access',
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * List the versions of a contract's agreed terms
+ */
+const getVersions = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const result = await amendmentService.listVersions(contract.id, page);
+
+    res.json({
+      success: true,
+      message: 'Contract versions retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the amendments proposed on a contract
+ */
+const getAmendments = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const result = await amendmentService.listAmendments(contract.id, page);
+
+    res.json({
+      success: true,
+      message: 'Amendments retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Propose new quantity, agreedPrice, deliveryDate and/or terms
+ */
+const proposeAmendment = async (req, res, next) => {
+  try {
+    const { quantity, agreedPrice, deliveryDate, terms, reason } = req.body || {};
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const { amendment } = await amendmentService.proposeAmendment({
+      contractId: contract.id,
+      user: req.user,
+      proposed: { quantity, agreedPrice, deliveryDate, terms },
+      reason,
+    });
+
+    await contractService.notifyCounterparty(contract, req.user.id, {
+      subject: 'A contract amendment needs your response',
+      text: `${req.user.fullName} proposed changing ${Object.keys(amendment.changes).join(', ')} `
+        + `on contract ${contract.id} (${contract.cropType}). Accept or reject it to continue.`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Amendment proposed successfully.',
+      data: amendment,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept, reject or withdraw an amendment
+ */
+const respondToAmendment = (response, successMessage) => async (req, res, next) => {
+  try {
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const { amendment } = await amendmentService.respondToAmendment({
+      contractId: contract.id,
+      amendmentId: req.params.amendmentId,
+      user: req.user,
+      response,
+    });
+
+    if (response !== 'withdraw') {
+      await contractService.notifyCounterparty(contract, req.user.id, {
+        subject: `Your contract amendment was ${amendment.status}`,
+        text: `${req.user.fullName} ${amendment.status} your amendment to contract ${contract.id} (${contract.cropType}).`,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: amendment,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const acceptAmendment = respondToAmendment('accept', 'Amendment accepted. The contract terms were updated.');
+const rejectAmendment = respondToAmendment('reject', 'Amendment rejected.');
+const withdrawAmendment = respondToAmendment('withdraw', 'Amendment withdrawn.');
+
+module.exports = {
+  getVersions,
+  getAmendments,
+  proposeAmendment,
+  acceptAmendment,
+  rejectAmendment,
+  withdrawAmendment,
+};
@@ -1,15 +1,110 @@
 const bcrypt = require('bcryptjs');
 const prisma = require('../config/database');
-const { generateAccessToken, generateRefreshToken } = require('../config/jwt');
+const { generateOnboardingToken, generateTwoFactorToken, verifyToken } = require('../config/jwt');
+const { validatePassword, validatePhone } = require('../middleware/validator');
+const tokenService = require('../services/tokenService');
+const otpService = require('../services/otpService');
+const { sendOtpError, sendTwoFactorError } = require('../utils/responses');
+const passwordService = require('../services/passwordService');
+const loginProtectionService = require('../services/loginProtectionService');
+const verificationService = require('../services/verificationService');
+const twoFactorService = require('../services/twoFactorService');
+
+// Compared against when there is no password to check, so response time doesn't reveal it
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', 10);
 
-// Simple in-memory OTP store (in production, use Redis or database)
-const otpStore = new Map();
+/**
+ * Respond with a limited-scope onboarding token for accounts with a pending profile
+ */
+const sendOnboardingRequired = (res, user, message) => {
+  const onboardingToken = generateOnboardingToken({ userId: user.id });
+
+  return res.json({
+    success: true,
+    message,
+    data: {
+      userId: user.id,
+      onboardingRequired: true,
+      onboardingToken,
+      user: {
+        id: user.id,
+        phone: user.phone,
+        profileStatus: user.profileStatus,
+      },
+    },
+    error: null,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Respond with a short-lived challenge token for accounts with 2FA enabled;
+ * tokens are issued by /login/2fa once the second factor is confirmed
+ */
+const sendTwoFactorRequired = (res, user, message) => {
+  const challengeToken = generateTwoFactorToken({ userId: user.id });
+
+  return res.json({
+    success: true,
+    message,
+    data: {
+      userId: user.id,
+      twoFactorRequired: true,
+      challengeToken,
+    },
+    error: null,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Send the 429 response for a blocked login attempt
+ */
+const sendLoginBlocked = (res, allowed) => {
+  res.set('Retry-After', String(allowed.retryAfter));
+  return res.status(429).json({
+    success: false,
+    message: allowed.result === 'locked'
+      ? 'Too many failed login attempts. Try again later or unlock your account with an OTP.'
+      : 'Too many login attempts. Please wait before trying again.',
+    data: {
+      retryAfter: allowed.retryAfter,
+    },
+    error: {
+      code: allowed.result === 'locked' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+      details: `Retry after ${allowed.retryAfter} seconds`,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * User data returned on login (excluding sensitive info)
+ */
+const toLoginUserData = (user) => ({
+  id: user.id,
+  fullName: user.fullName,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  profilePictureUrl: user.profilePictureUrl,
+  isVerified: user.isVerified,
+});
 
 /**
- * Generate 6-digit OTP
+ * Send the uniform invalid-credentials response
  */
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+const sendInvalidCredentials = (res) => {
+  return res.status(401).json({
+    success: false,
+    message: 'Invalid credentials.',
+    data: null,
+    error: {
+      code: 'INVALID_CREDENTIALS',
+      details: 'Email/phone or password is incorrect',
+    },
+    timestamp: new Date().toISOString(),
+  });
 };
 
 /**
@@ -63,8 +158,7 @@ const register = async (req, res, next) => {
     });
 
     // Generate tokens
-    const token = generateAccessToken({ userId: user.id, role: user.role });
-    const refreshToken = generateRefreshToken({ userId: user.id });
+    const { token, refreshToken } = await tokenService.issueTokens(user, tokenService.getClientContext(req));
 
     res.status(201).json({
       success: true,
@@ -89,6 +183,12 @@ const register = async (req, res, next) => {
 const login = async (req, res, next) => {
   try {
     const { email, phone, password } = req.body;
+    const identifier = email || phone;
+    const attemptContext = {
+      identifier,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
+    };
 
     // Find user by email or phone
     const user = await prisma.user.findFirst({
@@ -96,64 +196,154 @@ const login = async (req, res, next) => {
         OR: email ? [{ email }] : [{ phone }],
       },
     });
+    attemptContext.userId = user ? user.id : null;
 
-    if (!user) {
-      return res.status(401).json({
+    // Progressive delay / temporary lockout after repeated failures
+    const allowed = await loginProtectionService.checkLoginAllowed(attemptContext);
+
+    if (!allowed.allowed) {
+      await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: allowed.result });
+      return sendLoginBlocked(res, allowed);
+    }
+
+    // Verify password (OTP sign-ups have none until they create one)
+    const passwordHash = user ? user.passwordHash : null;
+    const passwordMatches = await bcrypt.compare(password, passwordHash || DUMMY_PASSWORD_HASH);
+    const isValidPassword = Boolean(passwordHash) && passwordMatches;
+
+    if (!isValidPassword) {
+      await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: 'invalid_credentials' });
+      return sendInvalidCredentials(res);
+    }
+
+    if (!user.isActive) {
+      await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: 'deactivated' });
+      return res.status(403).json({
         success: false,
-        message: 'Invalid credentials.',
+        message: 'Account is deactivated.',
         data: null,
         error: {
-          code: 'INVALID_CREDENTIALS',
-          details: 'User not found',
+          code: 'ACCOUNT_DEACTIVATED',
+          details: 'Please contact support',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Verify password
-    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+    // Password is correct; the attempt counts as a success once the second factor is confirmed
+    if (user.twoFactorEnabledAt) {
+      return sendTwoFactorRequired(res, user, 'Password verified. Enter your authentication code.');
+    }
 
-    if (!isValidPassword) {
+    await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: 'success' });
+
+    if (user.profileStatus === 'pending') {
+      return sendOnboardingRequired(res, user, 'Login successful. Please complete your profile.');
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user, tokenService.getClientContext(req));
+
+    res.json({
+      success: true,
+      message: 'Login successful.',
+      data: {
+        userId: user.id,
+        token,
+        refreshToken,
+        user: toLoginUserData(user),
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Second login step for accounts with 2FA: exchange the challenge token and an
+ * authenticator code (or a recovery code) for tokens
+ */
+const loginTwoFactor = async (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Challenge token and code are required.',
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: 'Provide challengeToken and either code or recoveryCode',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const decoded = verifyToken(challengeToken, 'two_factor');
+
+    if (!decoded) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid credentials.',
+        message: 'Invalid or expired challenge token.',
         data: null,
         error: {
-          code: 'INVALID_CREDENTIALS',
-          details: 'Incorrect password',
+          code: 'INVALID_TOKEN',
+          details: 'Please login again',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    if (!user.isActive) {
-      return res.status(403).json({
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
         success: false,
-        message: 'Account is deactivated.',
+        message: 'Invalid or expired challenge token.',
         data: null,
         error: {
-          code: 'ACCOUNT_DEACTIVATED',
-          details: 'Please contact support',
+          code: 'INVALID_TOKEN',
+          details: 'Please login again',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Generate tokens
-    const token = generateAccessToken({ userId: user.id, role: user.role });
-    const refreshToken = generateRefreshToken({ userId: user.id });
-
-    // Return user data (excluding sensitive info)
-    const userData = {
-      id: user.id,
-      fullName: user.fullName,
-      email: user.email,
-      phone: user.phone,
-      role: user.role,
-      profilePictureUrl: user.profilePictureUrl,
-      isVerified: user.isVerified,
+    // Wrong codes count towards the same lockout as wrong passwords
+    const attemptContext = {
+      userId: user.id,
+      identifier: user.email || user.phone,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent'),
     };
 
+    const allowed = await loginProtectionService.checkLoginAllowed(attemptContext);
+
+    if (!allowed.allowed) {
+      await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: allowed.result });
+      return sendLoginBlocked(res, allowed);
+    }
+
+    const result = await twoFactorService.verify(user.id, { code, recoveryCode });
+
+    if (result.error) {
+      await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: 'invalid_credentials' });
+      return sendTwoFactorError(res, result);
+    }
+
+    await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: 'success' });
+
+    const { token, refreshToken } = await tokenService.issueTokens(
+      user,
+      tokenService.getClientContext(req),
+      { secondFactor: true }
+    );
+
     res.json({
       success: true,
       message: 'Login successful.',
@@ -161,7 +351,10 @@ const login = async (req, res, next) => {
         userId: user.id,
         token,
         refreshToken,
-        user: userData,
+        user: toLoginUserData(user),
+        ...(result.recoveryCodesRemaining !== undefined && {
+          recoveryCodesRemaining: result.recoveryCodesRemaining,
+        }),
       },
       error: null,
       timestamp: new Date().toISOString(),
@@ -191,22 +384,19 @@ const sendOTP = async (req, res, next) => {
       });
     }
 
-    // Generate OTP
-    const otp = generateOTP();
+    const result = await otpService.sendOtp({ destination: phone, ipAddress: req.ip });
 
-    // Store OTP (expires in 10 minutes)
-    otpStore.set(phone, {
-      otp,
-      expiresAt: Date.now() + 10 * 60 * 1000, // 10 minutes
-    });
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
 
-    // In production, send OTP via SMS gateway (Twilio, AWS SNS, etc.)
-    console.log(`OTP for ${phone}: ${otp}`); // Remove in production
+    const otp = result.code;
 
     res.json({
       success: true,
       message: 'OTP sent successfully.',
       data: {
+        expiresAt: result.expiresAt,
         // In production, don't send OTP in response
         // For development/testing only:
         ...(process.env.NODE_ENV === 'development' && { otp }),
@@ -239,85 +429,271 @@ const verifyOTP = async (req, res, next) => {
       });
     }
 
-    const storedOTP = otpStore.get(phone);
+    const result = await otpService.verifyOtp({ destination: phone, code: otp });
 
-    if (!storedOTP) {
-      return res.status(400).json({
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    // OTP verified - find or create user
+    let user = await prisma.user.findUnique({
+      where: { phone },
+    });
+
+    if (!user) {
+      // New phone: create a pending account. Name, email, role and password
+      // are collected in /complete-profile before the account can be used.
+      user = await prisma.user.create({
+        data: {
+          phone,
+          profileStatus: 'pending',
+        },
+      });
+    }
+
+    if (!user.isActive) {
+      return res.status(403).json({
         success: false,
-        message: 'OTP not found or expired.',
+        message: 'Account is deactivated.',
         data: null,
         error: {
-          code: 'OTP_NOT_FOUND',
-          details: 'Please request a new OTP',
+          code: 'ACCOUNT_DEACTIVATED',
+          details: 'Please contact support',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    if (Date.now() > storedOTP.expiresAt) {
-      otpStore.delete(phone);
+    // Signing in with an OTP proves ownership of the phone
+    if (!user.phoneVerifiedAt) {
+      await verificationService.markVerified(user.id, 'phone');
+    }
+
+    if (user.profileStatus === 'pending') {
+      return sendOnboardingRequired(res, user, 'OTP verified successfully. Please complete your profile.');
+    }
+
+    if (user.twoFactorEnabledAt) {
+      return sendTwoFactorRequired(res, user, 'OTP verified successfully. Enter your authentication code.');
+    }
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user, tokenService.getClientContext(req));
+
+    res.json({
+      success: true,
+      message: 'OTP verified successfully.',
+      data: {
+        verified: true,
+        onboardingRequired: false,
+        token,
+        refreshToken,
+        user: {
+          id: user.id,
+          fullName: user.fullName,
+          email: user.email,
+          phone: user.phone,
+          role: user.role,
+        },
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send OTP to unlock an account locked by failed logins
+ */
+const sendUnlockOTP = async (req, res, next) => {
+  try {
+    const { phone } = req.body;
+
+    if (!phone || !validatePhone(phone)) {
       return res.status(400).json({
         success: false,
-        message: 'OTP expired.',
+        message: 'Valid phone number is required.',
         data: null,
         error: {
-          code: 'OTP_EXPIRED',
-          details: 'Please request a new OTP',
+          code: 'VALIDATION_ERROR',
+          details: 'Phone must be exactly 10 digits',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    if (storedOTP.otp !== otp) {
+    const user = await prisma.user.findUnique({
+      where: { phone },
+      select: { id: true, isActive: true },
+    });
+
+    let otp;
+
+    // Don't reveal if user exists for security
+    if (user && user.isActive) {
+      const result = await otpService.sendOtp({ destination: phone, purpose: 'unlock', ipAddress: req.ip });
+
+      if (result.error) {
+        return sendOtpError(res, result);
+      }
+
+      otp = result.code;
+    }
+
+    res.json({
+      success: true,
+      message: 'If the account exists, an OTP has been sent.',
+      data: {
+        // For development/testing only:
+        ...(process.env.NODE_ENV === 'development' && otp && { otp }),
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Unlock an account locked by failed logins using an OTP
+ */
+const unlockAccount = async (req, res, next) => {
+  try {
+    const { phone, otp } = req.body;
+
+    if (!phone || !otp) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid OTP.',
+        message: 'Phone and OTP are required.',
         data: null,
         error: {
-          code: 'INVALID_OTP',
-          details: 'OTP does not match',
+          code: 'VALIDATION_ERROR',
+          details: 'Missing required fields',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // OTP verified - find or create user
-    let user = await prisma.user.findUnique({
+    const result = await otpService.verifyOtp({ destination: phone, code: otp, purpose: 'unlock' });
+
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    const user = await prisma.user.findUnique({
       where: { phone },
+      select: { id: true },
     });
 
-    if (!user) {
-      // Create user with phone only (they can complete profile later)
-      user = await prisma.user.create({
-        data: {
-          phone,
-          fullName: `User ${phone}`,
-          email: `${phone}@temp.com`, // Temporary email
-          passwordHash: await bcrypt.hash('temp', 10), // Temporary password
-          role: 'farmer', // Default role
+    if (user) {
+      // Resets the failed-attempt counter
+      await loginProtectionService.recordLoginAttempt({
+        userId: user.id,
+        identifier: phone,
+        result: 'unlocked',
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can login again.',
+      data: null,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Complete profile for an OTP-created account (role, name, email, optional password)
+ */
+const completeProfile = async (req, res, next) => {
+  try {
+    const { fullName, email, role, password } = req.body;
+
+    const existingUser = await prisma.user.findFirst({
+      where: {
+        email,
+        NOT: { id: req.user.id },
+      },
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Email already in use.',
+        data: null,
+        error: {
+          code: 'DUPLICATE_EMAIL',
+          details: 'This email is already registered',
         },
+        timestamp: new Date().toISOString(),
       });
     }
 
-    // Delete OTP after successful verification
-    otpStore.delete(phone);
+    const data = {
+      fullName,
+      email,
+      role,
+      profileStatus: 'complete',
+    };
+
+    if (password) {
+      data.passwordHash = await bcrypt.hash(password, 10);
+    }
 
-    // Generate token
-    const token = generateAccessToken({ userId: user.id, role: user.role });
+    // Only a still-pending profile can be completed (guards against double submits)
+    const { count } = await prisma.user.updateMany({
+      where: { id: req.user.id, profileStatus: 'pending' },
+      data,
+    });
+
+    if (count === 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Profile is already complete.',
+        data: null,
+        error: {
+          code: 'PROFILE_ALREADY_COMPLETE',
+          details: 'Please login normally',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: {
+        id: true,
+        fullName: true,
+        email: true,
+        phone: true,
+        role: true,
+        profileStatus: true,
+        isVerified: true,
+        createdAt: true,
+      },
+    });
+
+    // Generate tokens
+    const { token, refreshToken } = await tokenService.issueTokens(user, tokenService.getClientContext(req));
 
     res.json({
       success: true,
-      message: 'OTP verified successfully.',
+      message: 'Profile completed successfully.',
       data: {
-        verified: true,
+        userId: user.id,
         token,
-        user: {
-          id: user.id,
-          fullName: user.fullName,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-        },
+        refreshToken,
+        hasPassword: Boolean(password),
+        user,
       },
       error: null,
       timestamp: new Date().toISOString(),
@@ -353,7 +729,7 @@ const forgotPassword = async (req, res, next) => {
       },
     });
 
-    if (!user) {
+    if (!user || !user.isActive) {
       // Don't reveal if user exists for security
       return res.json({
         success: true,
@@ -364,15 +740,15 @@ const forgotPassword = async (req, res, next) => {
       });
     }
 
-    // Generate reset token (in production, store in database with expiry)
-    const resetToken = generateAccessToken({ userId: user.id, type: 'password_reset' });
-
-    // In production, send email/SMS with reset link
-    console.log(`Password reset token for ${email || phone}: ${resetToken}`); // Remove in production
+    // Store a single-use token and deliver the reset link by email or SMS
+    const { token: resetToken } = await passwordService.requestPasswordReset(user, {
+      channel: email ? 'email' : 'phone',
+      ipAddress: req.ip,
+    });
 
     res.json({
       success: true,
-      message: 'Password reset instructions sent.',
+      message: 'If the account exists, a password reset link has been sent.',
       data: {
         // In production, don't send token in response
         ...(process.env.NODE_ENV === 'development' && { resetToken }),
@@ -405,50 +781,117 @@ const resetPassword = async (req, res, next) => {
       });
     }
 
-    // Verify token (in production, verify from database)
-    const { verifyToken } = require('../config/jwt');
-    const decoded = verifyToken(token);
+    // Validate password strength
+    if (!validatePassword(newPassword)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Password does not meet requirements.',
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: 'Password must be at least 8 characters with 1 uppercase, 1 number, and 1 special character',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-    if (!decoded || decoded.type !== 'password_reset') {
+    // Consume the token, update the password and revoke all sessions
+    const result = await passwordService.resetPassword(token, newPassword);
+
+    if (result.error) {
       return res.status(400).json({
         success: false,
         message: 'Invalid or expired reset token.',
         data: null,
         error: {
           code: 'INVALID_TOKEN',
-          details: 'Token verification failed',
+          details: 'Token is invalid, expired or has already been used',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Validate password strength
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/;
-    if (!passwordRegex.test(newPassword)) {
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please login again.',
+      data: null,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Refresh tokens - exchange a refresh token for a new access/refresh pair
+ */
+const refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
       return res.status(400).json({
         success: false,
-        message: 'Password does not meet requirements.',
+        message: 'Refresh token is required.',
         data: null,
         error: {
           code: 'VALIDATION_ERROR',
-          details: 'Password must be at least 8 characters with 1 uppercase, 1 number, and 1 special character',
+          details: 'Missing required field',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Update password
-    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const result = await tokenService.rotateRefreshToken(refreshToken, tokenService.getClientContext(req));
 
-    await prisma.user.update({
-      where: { id: decoded.userId },
-      data: { passwordHash },
-    });
+    if (result.error === 'TOKEN_REUSED') {
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token has already been used. Please login again.',
+        data: null,
+        error: {
+          code: 'TOKEN_REUSED',
+          details: 'Session revoked due to refresh token reuse',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (result.error === 'ACCOUNT_DEACTIVATED') {
+      return res.status(403).json({
+        success: false,
+        message: 'Account is deactivated.',
+        data: null,
+        error: {
+          code: 'ACCOUNT_DEACTIVATED',
+          details: 'Please contact support',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token.',
+        data: null,
+        error: {
+          code: 'INVALID_TOKEN',
+          details: 'Token verification failed',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
 
     res.json({
       success: true,
-      message: 'Password reset successfully.',
-      data: null,
+      message: 'Token refreshed successfully.',
+      data: {
+        userId: result.user.id,
+        token: result.tokens.token,
+        refreshToken: result.tokens.refreshToken,
+      },
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -458,27 +901,45 @@ const resetPassword = async (req, res, next) => {
 };
 
 /**
- * Logout (client-side token removal, but can track here if needed)
+ * Logout - revoke the session of the presented refresh token
+ * (or of the access token when no refresh token is sent)
  */
-const logout = async (req, res) => {
-  // In production, you might want to blacklist the token
-  // For now, client should remove token from storage
-  res.json({
-    success: true,
-    message: 'Logged out successfully.',
-    data: null,
-    error: null,
-    timestamp: new Date().toISOString(),
-  });
+const logout = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    const sessionId = refreshToken
+      ? await tokenService.findSessionId(refreshToken, req.user.id)
+      : req.sessionId;
+
+    if (sessionId) {
+      await tokenService.revokeSession(sessionId, req.user.id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully.',
+      data: null,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
 };
 
 module.exports = {
   register,
   login,
+  loginTwoFactor,
   sendOTP,
   verifyOTP,
+  sendUnlockOTP,
+  unlockAccount,
+  completeProfile,
   forgotPassword,
   resetPassword,
+  refresh,
   logout,
 };
 
@@ -1,19 +1,50 @@
 const prisma = require('../config/database');
+const offerService = require('../services/offerService');
+const listingService = require('../services/listingService');
+const contractService = require('../services/contractService');
+const contractStateMachine = require('../services/contractStateMachine');
+const amendmentService = require('../services/amendmentService');
+const listingSearchService = require('../services/listingSearchService');
+const cropCatalogService = require('../services/cropCatalogService');
+const { deleteUploadedFiles } = require('../middleware/upload');
+const { ApiError } = require('../utils/errors');
+const { getPageParams, paginate, buildPagination } = require('../utils/pagination');
+const { sendOfferError } = require('../utils/responses');
+
+const DEFAULT_SEARCH_RADIUS_KM = 50;
+
+const contractPartiesInclude = {
+  listing: true,
+  farmer: {
+    select: {
+      id: true,
+      fullName: true,
+      phone: true,
+    },
+  },
+  buyer: {
+    select: {
+      id: true,
+      fullName: true,
+      phone: true,
+    },
+  },
+};
 
 /**
  * Get all contracts with filters
  */
 const getContracts = async (req, res, next) => {
   try {
-    const { status, type, page = 1, limit = 10 } = req.query;
+    const { status, type } = req.query;
     const userId = req.user.id;
     const userRole = req.user.role;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const page = getPageParams(req.query, 10);
     const where = {};
 
     // Filter by status
-    if (status && ['requested', 'accepted', 'in_progress', 'completed', 'cancelled'].includes(status)) {
+    if (status && contractStateMachine.CONTRACT_STATUSES.includes(status)) {
       where.status = status;
     }
 
@@ -30,53 +61,39 @@ const getContracts = async (req, res, next) => {
       ];
     }
 
-    const [contracts, total] = await Promise.all([
-      prisma.contract.findMany({
-        where,
-        skip,
-        take: parseInt(limit),
-        orderBy: { createdAt: 'desc' },
-        include: {
-          listing: {
-            include: {
-              location: true,
-            },
+    const result = await paginate(prisma.contract, {
+      where,
+      orderBy: { createdAt: 'desc' },
+      include: {
+        listing: {
+          include: {
+            location: true,
           },
-          farmer: {
-            select: {
-              id: true,
-              fullName: true,
-              phone: true,
-              profilePictureUrl: true,
-            },
+        },
+        farmer: {
+          select: {
+            id: true,
+            fullName: true,
+            phone: true,
+            profilePictureUrl: true,
           },
-          buyer: {
-            select: {
-              id: true,
-              fullName: true,
-              phone: true,
-              profilePictureUrl: true,
-            },
+        },
+        buyer: {
+          select: {
+            id: true,
+            fullName: true,
+            phone: true,
+            profilePictureUrl: true,
           },
         },
-      }),
-      prisma.contract.count({ where }),
-    ]);
-
-    const totalPages = Math.ceil(total / parseInt(limit));
+      },
+    }, page);
 
     res.json({
       success: true,
       message: 'Contracts retrieved successfully.',
-      data: contracts,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: parseInt(limit),
-        hasNext: parseInt(page) < totalPages,
-        hasPrevious: parseInt(page) > 1,
-      },
+      data: result.items,
+      pagination: buildPagination(req, page, result),
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -131,6 +148,12 @@ const getContractById = async (req, res, next) => {
             profilePictureUrl: true,
           },
         },
+        deliveryProofs: {
+          orderBy: { createdAt: 'asc' },
+        },
+        tranches: {
+          orderBy: { sequence: 'asc' },
+        },
       },
     });
 
@@ -147,10 +170,29 @@ const getContractById = async (req, res, next) => {
       });
     }
 
+    // ?version=N returns that version of the terms; ?compareTo=M adds the diff from version M
+    const { version, compareTo } = req.query;
+    let versionView = {};
+
+    if (version !== undefined || compareTo !== undefined) {
+      versionView = await amendmentService.getVersionView(
+        contract.id,
+        version !== undefined ? Number(version) : contract.version,
+        compareTo !== undefined ? Number(compareTo) : undefined
+      );
+    }
+
     res.json({
       success: true,
       message: 'Contract retrieved successfully.',
-      data: contract,
+      data: {
+        ...contract,
+        availableActions: contractStateMachine.getAvailableActions(
+          contract,
+          contractStateMachine.getActorRole(contract, req.user)
+        ),
+        ...versionView,
+      },
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -160,7 +202,8 @@ const getContractById = async (req, res, next) => {
 };
 
 /**
- * Create contract listing (farmer only)
+ * Create contract listing (farmer only). The crop, optional variety and unit
+ * must be in the crop catalog.
  */
 const createListing = async (req, res, next) => {
   try {
@@ -179,6 +222,7 @@ const createListing = async (req, res, next) => {
 
     const {
       cropType,
+      variety,
       quantity,
       unit,
       expectedPrice,
@@ -193,12 +237,15 @@ const createListing = async (req, res, next) => {
       images = req.files.map(file => `/uploads/${file.filename}`);
     }
 
+    // Stored under the catalog's names, whichever name or alias was sent
+    const catalogEntry = await cropCatalogService.resolveListingCrop(prisma, { cropType, variety, unit });
+
     const listing = await prisma.contractListing.create({
       data: {
         farmerId: req.user.id,
-        cropType,
+        ...catalogEntry,
         quantity: parseFloat(quantity),
-        unit,
+        availableQuantity: parseFloat(quantity),
         expectedPrice: parseFloat(expectedPrice),
         description,
         harvestDate: harvestDate ? new Date(harvestDate) : null,
@@ -208,6 +255,12 @@ const createListing = async (req, res, next) => {
       },
       include: {
         location: true,
+        variety: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
         farmer: {
           select: {
             id: true,
@@ -229,76 +282,74 @@ const createListing = async (req, res, next) => {
       timestamp: new Date().toISOString(),
     });
   } catch (error) {
+    // Nothing references the uploaded images if the listing was not created
+    await deleteUploadedFiles(req.files);
     next(error);
   }
 };
 
 /**
- * Get available listings
+ * Get available listings. See listingSearchService for the filters. With
+ * `lat` and `lng`, only listings within `radiusKm` (default 50) are returned,
+ * and with `q` only those matching the text search. `sort` defaults to
+ * relevance for a text search, distance for a radius search and newest first
+ * otherwise.
  */
 const getListings = async (req, res, next) => {
   try {
-    const { crop, location, page = 1, limit = 10 } = req.query;
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const { lat, lng, radiusKm, q, sort, crop } = req.query;
+    const page = getPageParams(req.query, 10);
+    const catalogCrop = crop ? await cropCatalogService.findCrop(prisma, crop) : null;
 
-    const where = {
-      status: 'active', // Only show active listings
-    };
+    const geo = lat !== undefined
+      ? {
+        lat: parseFloat(lat),
+        lng: parseFloat(lng),
+        radiusKm: radiusKm !== undefined ? parseFloat(radiusKm) : DEFAULT_SEARCH_RADIUS_KM,
+      }
+      : null;
+    const text = q ? q.trim() : '';
 
-    if (crop) {
-      where.cropType = {
-        contains: crop,
-        mode: 'insensitive',
-      };
+    let defaultSort = 'newest';
+    if (text) {
+      defaultSort = 'relevance';
+    } else if (geo) {
+      defaultSort = 'distance';
     }
 
-    if (location) {
-      where.location = {
-        OR: [
-          { city: { contains: location, mode: 'insensitive' } },
-          { state: { contains: location, mode: 'insensitive' } },
-          { pincode: { contains: location } },
-        ],
-      };
-    }
-
-    const [listings, total] = await Promise.all([
-      prisma.contractListing.findMany({
-        where,
-        skip,
-        take: parseInt(limit),
-        orderBy: { createdAt: 'desc' },
-        include: {
-          location: true,
-          farmer: {
-            select: {
-              id: true,
-              fullName: true,
-              phone: true,
-              profilePictureUrl: true,
-            },
+    const result = await listingSearchService.searchListings({
+      where: listingSearchService.buildListingWhere(req.query, catalogCrop),
+      geo,
+      q: text || null,
+      sort: sort || defaultSort,
+      page,
+      include: {
+        location: true,
+        variety: {
+          select: {
+            id: true,
+            name: true,
           },
         },
-      }),
-      prisma.contractListing.count({ where }),
-    ]);
+        farmer: {
+          select: {
+            id: true,
+            fullName: true,
+            phone: true,
+            profilePictureUrl: true,
+            isVerified: true,
+          },
+        },
+      },
+    });
 
     // Images are already parsed by Prisma
 
-    const totalPages = Math.ceil(total / parseInt(limit));
-
     res.json({
       success: true,
       message: 'Listings retrieved successfully.',
-      data: listings,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: parseInt(limit),
-        hasNext: parseInt(page) < totalPages,
-        hasPrevious: parseInt(page) > 1,
-      },
+      data: result.listings,
+      pagination: buildPagination(req, page, result),
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -326,7 +377,7 @@ const requestContract = async (req, res, next) => {
     }
 
     const { id } = req.params;
-    const { message, terms } = req.body;
+    const { message, terms, pricePerUnit, quantity, expiresInHours } = req.body;
 
     // Get listing
     const listing = await prisma.contractListing.findUnique({
@@ -372,19 +423,100 @@ const requestContract = async (req, res, next) => {
       });
     }
 
-    // Create contract request
-    const contract = await prisma.contract.create({
-      data: {
+    // One open contract per buyer per listing; negotiate on the existing one instead
+    const existing = await prisma.contract.findFirst({
+      where: {
         listingId: listing.id,
-        farmerId: listing.farmerId,
         buyerId: req.user.id,
-        cropType: listing.cropType,
-        quantity: listing.quantity,
-        agreedPrice: listing.expectedPrice, // Initial price, can be negotiated
-        totalAmount: listing.quantity * listing.expectedPrice,
-        status: 'requested',
-        terms: terms || message,
+        status: { in: contractStateMachine.OPEN_STATUSES },
       },
+      select: { id: true, status: true },
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: 'You already have an open contract for this listing.',
+        data: {
+          contractId: existing.id,
+          status: existing.status,
+        },
+        error: {
+          code: 'DUPLICATE_REQUEST',
+          details: 'Use counter-offers on the existing contract instead',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // The buyer's proposal defaults to the listing's asking price and all remaining quantity
+    const proposedPrice = pricePerUnit !== undefined ? parseFloat(pricePerUnit) : listing.expectedPrice;
+    const proposedQuantity = quantity !== undefined ? parseFloat(quantity) : listing.availableQuantity;
+
+    if (listing.availableQuantity.lessThan(proposedQuantity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Requested quantity exceeds what is available.',
+        data: null,
+        error: {
+          code: 'INSUFFICIENT_QUANTITY',
+          details: `Only ${listing.availableQuantity} ${listing.unit} is still available`,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Create contract request with the buyer's opening offer
+    const contract = await prisma.$transaction(async (tx) => {
+      // Re-check the listing under lock in case it was allocated or withdrawn meanwhile
+      const lockedListing = await contractService.lockListing(tx, listing.id);
+
+      if (lockedListing.status !== 'active') {
+        throw new ApiError(400, 'LISTING_UNAVAILABLE', 'Listing is not available.', `Listing status is ${lockedListing.status}`);
+      }
+
+      if (lockedListing.availableQuantity.lessThan(proposedQuantity)) {
+        throw new ApiError(400, 'INSUFFICIENT_QUANTITY', 'Requested quantity exceeds what is available.', `Only ${lockedListing.availableQuantity} ${lockedListing.unit} is still available`);
+      }
+
+      const created = await tx.contract.create({
+        data: {
+          listingId: listing.id,
+          farmerId: listing.farmerId,
+          buyerId: req.user.id,
+          cropType: listing.cropType,
+          quantity: proposedQuantity,
+          agreedPrice: proposedPrice, // Locked in when the farmer accepts
+          totalAmount: offerService.computeTotal(proposedPrice, proposedQuantity),
+          status: 'requested',
+          terms: terms || message,
+          openRequestKey: contractService.getOpenRequestKey(listing.id, req.user.id),
+        },
+      });
+
+      await contractStateMachine.recordEvent(tx, {
+        contractId: created.id,
+        action: 'request',
+        actorId: req.user.id,
+        actorRole: 'buyer',
+        toStatus: created.status,
+        notes: message,
+      });
+
+      await offerService.createOffer({
+        contractId: created.id,
+        proposedById: req.user.id,
+        pricePerUnit: proposedPrice,
+        quantity: proposedQuantity,
+        message,
+        expiresInHours,
+      }, tx);
+
+      return created;
+    });
+
+    const contractWithParties = await prisma.contract.findUnique({
+      where: { id: contract.id },
       include: {
         listing: true,
         farmer: {
@@ -407,7 +539,7 @@ const requestContract = async (req, res, next) => {
     res.status(201).json({
       success: true,
       message: 'Contract request created successfully.',
-      data: contract,
+      data: contractWithParties,
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -422,64 +554,429 @@ const requestContract = async (req, res, next) => {
 const acceptContract = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { requestId } = req.body;
+    const { requestId } = req.body || {};
 
-    const contract = await prisma.contract.findFirst({
-      where: {
-        id: requestId || id,
-        farmerId: req.user.id,
-        status: 'requested',
-      },
+    const contract = await contractService.findPartyContract(requestId || id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const { updatedContract, declined } = await prisma.$transaction(async (tx) => {
+      // A concurrent accept, reject or counter-offer waits here and then sees our result
+      const locked = await contractService.lockContract(tx, contract.id);
+      const actorRole = contractStateMachine.getActorRole(locked, req.user);
+
+      contractStateMachine.assertTransition(locked, 'accept', actorRole);
+
+      // Lock in the agreed terms: an offer the parties accepted, or the buyer's
+      // outstanding offer, which accepting the contract also accepts
+      const latestOffer = await offerService.getLatestOffer(locked.id, tx);
+
+      if (latestOffer && latestOffer.status === 'pending' && latestOffer.proposedById === req.user.id) {
+        throw new ApiError(409, 'OFFER_PENDING', 'Your counter-offer is awaiting the buyer.', 'The buyer must accept your offer before the contract can be accepted');
+      }
+
+      if (latestOffer && !['pending', 'accepted'].includes(latestOffer.status)) {
+        throw new ApiError(409, 'NO_AGREED_OFFER', 'No agreed offer to accept.', `The latest offer was ${latestOffer.status}; post a new offer to continue negotiating`);
+      }
+
+      const agreedPrice = latestOffer ? latestOffer.pricePerUnit : locked.agreedPrice;
+      const agreedQuantity = latestOffer ? latestOffer.quantity : locked.quantity;
+
+      const acceptedTerms = await contractStateMachine.applyTransition(tx, locked, 'accept', {
+        actorId: req.user.id,
+        actorRole,
+        data: {
+          agreedPrice,
+          quantity: agreedQuantity,
+          totalAmount: offerService.computeTotal(agreedPrice, agreedQuantity),
+        },
+      });
+
+      // The agreed terms become version 1; amendments add later versions
+      await amendmentService.createVersion(tx, acceptedTerms);
+
+      // Reserve the quantity; throwing rolls back the status change above
+      if (!(await listingService.allocateQuantity(tx, locked.listingId, agreedQuantity))) {
+        throw new ApiError(409, 'INSUFFICIENT_QUANTITY', 'Not enough quantity left on the listing.', 'Other contracts have already been accepted for this listing');
+      }
+
+      if (latestOffer && latestOffer.status === 'pending') {
+        await tx.contractOffer.update({
+          where: { id: latestOffer.id },
+          data: { status: 'accepted', respondedAt: new Date() },
+        });
+      }
+
+      const declinedRequests = await contractService.declineCompetingRequests(tx, locked.listingId, locked.id);
+
+      const accepted = await tx.contract.findUnique({
+        where: { id: locked.id },
+        include: contractPartiesInclude,
+      });
+
+      return { updatedContract: accepted, declined: declinedRequests };
     });
 
+    await contractService.notifyDeclinedBuyers(declined);
+
+    res.json({
+      success: true,
+      message: 'Contract accepted successfully.',
+      data: updatedContract,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Close a contract without completing it: reject (`reject`) or cancel
+ * (`cancel`). The reason code and text are recorded on the contract's
+ * history. Outstanding offers are rejected and the quantity of an accepted
+ * contract goes back to the listing.
+ */
+const closeContract = (action, successMessage) => async (req, res, next) => {
+  try {
+    const { reasonCode, reason } = req.body || {};
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
     if (!contract) {
-      return res.status(404).json({
+      return sendContractNotFound(res);
+    }
+
+    await prisma.$transaction(async (tx) => {
+      const locked = await contractService.lockContract(tx, contract.id);
+
+      await contractStateMachine.applyTransition(tx, locked, action, {
+        actorId: req.user.id,
+        actorRole: contractStateMachine.getActorRole(locked, req.user),
+        payload: { reasonCode, reason },
+        reasonCode,
+        notes: reason,
+        data: { openRequestKey: null },
+      });
+
+      await tx.contractOffer.updateMany({
+        where: { contractId: locked.id, status: 'pending' },
+        data: { status: 'rejected', respondedAt: new Date() },
+      });
+
+      // Return the quantity of an accepted contract to the listing
+      if (contractStateMachine.ALLOCATED_STATUSES.includes(locked.status)) {
+        await listingService.releaseQuantity(tx, locked.listingId, locked.quantity);
+      }
+    });
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: null,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+const rejectContract = closeContract('reject', 'Contract rejected successfully.');
+const cancelContract = closeContract('cancel', 'Contract cancelled successfully.');
+
+/**
+ * Move a contract forward on the farmer's side: `start` (harvest begun),
+ * `dispatch` (goods sent) or `deliver` (goods handed over). A `note` and/or
+ * uploaded `files` are stored as a delivery proof.
+ */
+const progressContract = (action, successMessage, getData) => async (req, res, next) => {
+  // Until the proof is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const { note } = req.body || {};
+    const hasProof = Boolean(note) || (req.files && req.files.length > 0);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      await deleteUploadedFiles(req.files);
+      return sendContractNotFound(res);
+    }
+
+    const updatedContract = await prisma.$transaction(async (tx) => {
+      const locked = await contractService.lockContract(tx, contract.id);
+
+      if (action !== 'start') {
+        await contractService.assertUnscheduled(tx, locked.id);
+      }
+
+      const updated = await contractStateMachine.applyTransition(tx, locked, action, {
+        actorId: req.user.id,
+        actorRole: contractStateMachine.getActorRole(locked, req.user),
+        payload: req.body || {},
+        notes: note,
+        data: getData ? getData() : undefined,
+        include: contractPartiesInclude,
+      });
+
+      if (hasProof) {
+        await contractService.addDeliveryProof(tx, {
+          contractId: locked.id,
+          submittedById: req.user.id,
+          note,
+          files: req.files,
+        });
+      }
+
+      return updated;
+    });
+
+    stored = true;
+
+    if (action === 'deliver') {
+      const buyer = await prisma.user.findUnique({
+        where: { id: updatedContract.buyerId },
+        select: { fullName: true, email: true, phone: true },
+      });
+      await contractService.notifyDelivered(updatedContract, buyer);
+    }
+
+    res.json({
+      success: true,
+      message: successMessage,
+      data: updatedContract,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+const startContract = progressContract('start', 'Contract started successfully.');
+const dispatchContract = progressContract('dispatch', 'Contract marked as dispatched.', () => ({
+  dispatchedAt: new Date(),
+}));
+const deliverContract = progressContract('deliver', 'Contract marked as delivered.', () => ({
+  deliveredAt: new Date(),
+  autoConfirmAt: contractService.getAutoConfirmAt(),
+}));
+
+/**
+ * Confirm receipt of the goods (buyer), optionally with the accepted quantity,
+ * a quality grade and a delivery proof. This completes the contract and books
+ * the settlement.
+ */
+const receiveContract = async (req, res, next) => {
+  // Until the proof is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const { acceptedQuantity, qualityGrade, note } = req.body || {};
+    const hasProof = Boolean(note) || (req.files && req.files.length > 0);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      await deleteUploadedFiles(req.files);
+      return sendContractNotFound(res);
+    }
+
+    if (contractStateMachine.getActorRole(contract, req.user) !== 'buyer') {
+      throw new ApiError(403, 'FORBIDDEN', 'You cannot perform this action.', 'Only the buyer can confirm receipt');
+    }
+
+    // Status change, listing settlement and ledger entries commit together
+    const { updatedContract, alreadyCompleted } = await prisma.$transaction(async (tx) => {
+      const locked = await contractService.lockContract(tx, contract.id);
+
+      // Retrying a receipt that already went through returns the same result
+      if (locked.status === 'completed') {
+        return {
+          updatedContract: await tx.contract.findUnique({
+            where: { id: locked.id },
+            include: contractPartiesInclude,
+          }),
+          alreadyCompleted: true,
+        };
+      }
+
+      const completed = await contractService.completeDelivery(tx, locked, 'receive', {
+        actorId: req.user.id,
+        actorRole: 'buyer',
+        acceptedQuantity: acceptedQuantity !== undefined ? parseFloat(acceptedQuantity) : undefined,
+        qualityGrade,
+        notes: note,
+        include: contractPartiesInclude,
+      });
+
+      if (hasProof) {
+        await contractService.addDeliveryProof(tx, {
+          contractId: locked.id,
+          submittedById: req.user.id,
+          note,
+          files: req.files,
+        });
+      }
+
+      return { updatedContract: completed, alreadyCompleted: false };
+    });
+
+    if (alreadyCompleted) {
+      await deleteUploadedFiles(req.files);
+
+      return res.json({
+        success: true,
+        message: 'Contract already completed.',
+        data: updatedContract,
+        error: null,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    stored = true;
+
+    res.json({
+      success: true,
+      message: 'Delivery confirmed. Contract completed successfully.',
+      data: updatedContract,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Add a delivery proof (`note` and/or uploaded `files`) to an accepted or
+ * in-progress contract
+ */
+const addDeliveryProof = async (req, res, next) => {
+  // Until the proof is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const { note } = req.body || {};
+
+    if (!note && !(req.files && req.files.length > 0)) {
+      return res.status(400).json({
         success: false,
-        message: 'Contract request not found.',
+        message: 'Validation failed.',
         data: null,
         error: {
-          code: 'NOT_FOUND',
-          details: 'Contract does not exist or is not in requested status',
+          code: 'VALIDATION_ERROR',
+          details: 'Provide a note or at least one file',
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Update contract status
-    const updatedContract = await prisma.contract.update({
-      where: { id: contract.id },
-      data: {
-        status: 'accepted',
-      },
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      await deleteUploadedFiles(req.files);
+      return sendContractNotFound(res);
+    }
+
+    const proof = await prisma.$transaction(async (tx) => {
+      await contractService.lockContract(tx, contract.id, contractStateMachine.ALLOCATED_STATUSES);
+
+      return contractService.addDeliveryProof(tx, {
+        contractId: contract.id,
+        submittedById: req.user.id,
+        note,
+        files: req.files,
+      });
+    });
+
+    stored = true;
+
+    res.status(201).json({
+      success: true,
+      message: 'Delivery proof added successfully.',
+      data: proof,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Get the delivery proofs of a contract
+ */
+const getDeliveryProofs = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const result = await paginate(prisma.deliveryProof, {
+      where: { contractId: contract.id },
+      orderBy: { createdAt: 'asc' },
       include: {
-        listing: true,
-        farmer: {
-          select: {
-            id: true,
-            fullName: true,
-            phone: true,
-          },
-        },
-        buyer: {
+        submittedBy: {
           select: {
             id: true,
             fullName: true,
-            phone: true,
+            role: true,
           },
         },
       },
-    });
+    }, page);
 
-    // Update listing status
-    await prisma.contractListing.update({
-      where: { id: contract.listingId },
-      data: { status: 'contracted' },
+    res.json({
+      success: true,
+      message: 'Delivery proofs retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the status history of a contract
+ */
+const getContractHistory = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const result = await contractStateMachine.getHistory(contract.id, page);
 
     res.json({
       success: true,
-      message: 'Contract accepted successfully.',
-      data: updatedContract,
+      message: 'Contract history retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -489,58 +986,49 @@ const acceptContract = async (req, res, next) => {
 };
 
 /**
- * Reject contract
+ * Send the 404 response for a contract the user is not a party to
+ */
+const sendContractNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Contract not found.',
+    data: null,
+    error: {
+      code: 'NOT_FOUND',
+      details: 'Contract does not exist or you do not have access',
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get the offer history of a contract
  */
-const rejectContract = async (req, res, next) => {
+const getOffers = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
+    const page = getPageParams(req.query);
 
     const contract = await prisma.contract.findFirst({
       where: {
-        id,
+        id: req.params.id,
         OR: [
           { farmerId: req.user.id },
           { buyerId: req.user.id },
         ],
-        status: { in: ['requested', 'accepted'] },
       },
     });
 
     if (!contract) {
-      return res.status(404).json({
-        success: false,
-        message: 'Contract not found.',
-        data: null,
-        error: {
-          code: 'NOT_FOUND',
-          details: 'Contract does not exist or cannot be rejected',
-        },
-        timestamp: new Date().toISOString(),
-      });
+      return sendContractNotFound(res);
     }
 
-    // Update contract status
-    await prisma.contract.update({
-      where: { id: contract.id },
-      data: {
-        status: 'cancelled',
-        terms: reason ? `${contract.terms || ''}\nRejection reason: ${reason}` : contract.terms,
-      },
-    });
-
-    // If contract was accepted, make listing active again
-    if (contract.status === 'accepted') {
-      await prisma.contractListing.update({
-        where: { id: contract.listingId },
-        data: { status: 'active' },
-      });
-    }
+    const result = await offerService.listOffers(contract.id, page);
 
     res.json({
       success: true,
-      message: 'Contract rejected successfully.',
-      data: null,
+      message: 'Offers retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -550,102 +1038,72 @@ const rejectContract = async (req, res, next) => {
 };
 
 /**
- * Complete contract
+ * Make a counter-offer on a requested contract (farmer or buyer)
  */
-const completeContract = async (req, res, next) => {
+const createOffer = async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { deliveryProof } = req.body;
+    const { pricePerUnit, quantity, message, expiresInHours } = req.body;
 
     const contract = await prisma.contract.findFirst({
       where: {
-        id,
+        id: req.params.id,
         OR: [
           { farmerId: req.user.id },
           { buyerId: req.user.id },
         ],
-        status: { in: ['accepted', 'in_progress'] },
       },
+      include: { listing: true },
     });
 
     if (!contract) {
-      return res.status(404).json({
+      return sendContractNotFound(res);
+    }
+
+    if (contract.status !== 'requested') {
+      return res.status(409).json({
         success: false,
-        message: 'Contract not found.',
+        message: 'Contract is not open for negotiation.',
         data: null,
         error: {
-          code: 'NOT_FOUND',
-          details: 'Contract does not exist or cannot be completed',
+          code: 'INVALID_STATUS',
+          details: `Offers can only be made on requested contracts (status is ${contract.status})`,
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Update contract status
-    const updatedContract = await prisma.contract.update({
-      where: { id: contract.id },
-      data: {
-        status: 'completed',
-        completedAt: new Date(),
-        terms: deliveryProof ? `${contract.terms || ''}\nDelivery proof: ${deliveryProof}` : contract.terms,
-      },
-      include: {
-        listing: true,
-        farmer: {
-          select: {
-            id: true,
-            fullName: true,
-            phone: true,
-          },
-        },
-        buyer: {
-          select: {
-            id: true,
-            fullName: true,
-            phone: true,
-          },
+    const offeredQuantity = quantity !== undefined ? parseFloat(quantity) : contract.quantity;
+
+    if (contract.listing.availableQuantity.lessThan(offeredQuantity)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Offered quantity exceeds what is available.',
+        data: null,
+        error: {
+          code: 'INSUFFICIENT_QUANTITY',
+          details: `Only ${contract.listing.availableQuantity} ${contract.listing.unit} is still available`,
         },
-      },
-    });
+        timestamp: new Date().toISOString(),
+      });
+    }
 
-    // Update listing status
-    await prisma.contractListing.update({
-      where: { id: contract.listingId },
-      data: { status: 'completed' },
-    });
+    const offer = await prisma.$transaction(async (tx) => {
+      await contractService.lockContract(tx, contract.id, ['requested']);
 
-    // Create transaction for farmer (income)
-    await prisma.transaction.create({
-      data: {
-        userId: contract.farmerId,
-        type: 'income',
-        category: 'sale',
-        amount: contract.totalAmount,
-        description: `Sale of ${contract.cropType} - Contract ${contract.id}`,
-        referenceId: contract.id,
-        referenceType: 'contract',
-        transactionDate: new Date(),
-      },
+      return offerService.createOffer({
+        contractId: contract.id,
+        proposedById: req.user.id,
+        pricePerUnit: parseFloat(pricePerUnit),
+        quantity: offeredQuantity,
+        message,
+        expiresInHours,
+      }, tx);
     });
 
-    // Create transaction for buyer (expense)
-    await prisma.transaction.create({
-      data: {
-        userId: contract.buyerId,
-        type: 'expense',
-        category: 'purchase',
-        amount: contract.totalAmount,
-        description: `Purchase of ${contract.cropType} - Contract ${contract.id}`,
-        referenceId: contract.id,
-        referenceType: 'contract',
-        transactionDate: new Date(),
-      },
-    });
-
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Contract completed successfully.',
-      data: updatedContract,
+      message: 'Offer sent successfully.',
+      data: offer,
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -655,62 +1113,54 @@ const completeContract = async (req, res, next) => {
 };
 
 /**
- * Cancel contract
+ * Accept or reject the other party's outstanding offer
  */
-const cancelContract = async (req, res, next) => {
+const respondToOffer = (accept) => async (req, res, next) => {
   try {
-    const { id } = req.params;
-    const { reason } = req.body;
-
     const contract = await prisma.contract.findFirst({
       where: {
-        id,
+        id: req.params.id,
         OR: [
           { farmerId: req.user.id },
           { buyerId: req.user.id },
         ],
-        status: { not: 'completed' },
       },
     });
 
     if (!contract) {
-      return res.status(404).json({
+      return sendContractNotFound(res);
+    }
+
+    if (contract.status !== 'requested') {
+      return res.status(409).json({
         success: false,
-        message: 'Contract not found.',
+        message: 'Contract is not open for negotiation.',
         data: null,
         error: {
-          code: 'NOT_FOUND',
-          details: 'Contract does not exist or cannot be cancelled',
+          code: 'INVALID_STATUS',
+          details: `Offers can only be answered on requested contracts (status is ${contract.status})`,
         },
         timestamp: new Date().toISOString(),
       });
     }
 
-    // Update contract status
-    await prisma.contract.update({
-      where: { id: contract.id },
-      data: {
-        status: 'cancelled',
-        terms: reason ? `${contract.terms || ''}\nCancellation reason: ${reason}` : contract.terms,
-      },
+    const result = await offerService.respondToOffer({
+      contract,
+      offerId: req.params.offerId,
+      userId: req.user.id,
+      accept,
     });
 
-    // Make listing active again if it was contracted
-    const listing = await prisma.contractListing.findUnique({
-      where: { id: contract.listingId },
-    });
-
-    if (listing && listing.status === 'contracted') {
-      await prisma.contractListing.update({
-        where: { id: contract.listingId },
-        data: { status: 'active' },
-      });
+    if (result.error) {
+      return sendOfferError(res, result);
     }
 
     res.json({
       success: true,
-      message: 'Contract cancelled successfully.',
-      data: null,
+      message: accept
+        ? 'Offer accepted. The farmer can now accept the contract.'
+        : 'Offer rejected.',
+      data: result.offer,
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -719,6 +1169,9 @@ const cancelContract = async (req, res, next) => {
   }
 };
 
+const acceptOffer = respondToOffer(true);
+const rejectOffer = respondToOffer(false);
+
 module.exports = {
   getContracts,
   getContractById,
@@ -727,7 +1180,17 @@ module.exports = {
   requestContract,
   acceptContract,
   rejectContract,
-  completeContract,
+  startContract,
+  dispatchContract,
+  deliverContract,
+  receiveContract,
   cancelContract,
+  getContractHistory,
+  addDeliveryProof,
+  getDeliveryProofs,
+  getOffers,
+  createOffer,
+  acceptOffer,
+  rejectOffer,
 };
 
@@ -0,0 +1,25 @@
+const cropCatalogService = require('../services/cropCatalogService');
+
+/**
+ * Get the crop catalog for pickers: active crops with their varieties,
+ * allowed units and quality grades (optional `q` to narrow it down)
+ */
+const getCrops = async (req, res, next) => {
+  try {
+    const crops = await cropCatalogService.listCrops({ q: req.query.q });
+
+    res.json({
+      success: true,
+      message: 'Crops retrieved successfully.',
+      data: crops,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCrops,
+};
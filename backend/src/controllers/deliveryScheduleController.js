@@ -0,0 +1,205 @@
+const contractService = require('../services/contractService');
+const deliveryScheduleService = require('../services/deliveryScheduleService');
+const { deleteUploadedFiles } = require('../middleware/upload');
+const { getPageParams, buildPagination } = require('../utils/pagination');
+
+/**
+ * Send the 404 response for a contract the user cannot see
+ */
+const sendContractNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Contract not found.',
+    data: null,
+    error: {
+      code: 'NOT_FOUND',
+      details: 'Contract does not exist or you do not have access',
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Get the delivery schedule of a contract
+ */
+const getSchedule = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const result = await deliveryScheduleService.listTranches(contract.id, page);
+
+    res.json({
+      success: true,
+      message: 'Delivery schedule retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set the delivery schedule (farmer): `tranches` of scheduledDate, quantity
+ * and optional location
+ */
+const setSchedule = async (req, res, next) => {
+  try {
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendContractNotFound(res);
+    }
+
+    const { tranches } = await deliveryScheduleService.setSchedule({
+      contractId: contract.id,
+      user: req.user,
+      tranches: req.body.tranches,
+    });
+
+    await contractService.notifyCounterparty(contract, req.user.id, {
+      subject: 'Your delivery schedule was updated',
+      text: `${req.user.fullName} scheduled contract ${contract.id} (${contract.cropType}) `
+        + `for delivery in ${tranches.length} tranche${tranches.length === 1 ? '' : 's'}, `
+        + `the first on ${tranches[0].scheduledDate.toISOString().slice(0, 10)}.`,
+    });
+
+    res.json({
+      success: true,
+      message: 'Delivery schedule set successfully.',
+      data: tranches,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a tranche dispatched (farmer), with an optional delivery proof
+ */
+const dispatchTranche = async (req, res, next) => {
+  // Until the proof is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const { note } = req.body || {};
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      await deleteUploadedFiles(req.files);
+      return sendContractNotFound(res);
+    }
+
+    const { tranche } = await deliveryScheduleService.dispatchTranche({
+      contractId: contract.id,
+      trancheId: req.params.trancheId,
+      user: req.user,
+      note,
+      files: req.files,
+    });
+
+    stored = true;
+
+    await contractService.notifyCounterparty(contract, req.user.id, {
+      subject: 'A delivery is on its way',
+      text: `Tranche ${tranche.sequence} of contract ${contract.id} (${tranche.quantity} of ${contract.cropType}) `
+        + 'was dispatched. Confirm receipt once it arrives.',
+    });
+
+    res.json({
+      success: true,
+      message: 'Tranche marked as dispatched.',
+      data: tranche,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+/**
+ * Confirm receipt of a tranche (buyer), optionally with the accepted
+ * quantity, a quality grade and a delivery proof. The last tranche completes
+ * the contract.
+ */
+const receiveTranche = async (req, res, next) => {
+  // Until the proof is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const { acceptedQuantity, qualityGrade, note } = req.body || {};
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      await deleteUploadedFiles(req.files);
+      return sendContractNotFound(res);
+    }
+
+    const { tranche, completed, alreadyReceived } = await deliveryScheduleService.receiveTranche({
+      contractId: contract.id,
+      trancheId: req.params.trancheId,
+      user: req.user,
+      acceptedQuantity: acceptedQuantity !== undefined ? parseFloat(acceptedQuantity) : undefined,
+      qualityGrade,
+      note,
+      files: req.files,
+    });
+
+    // A repeated receipt stores nothing
+    if (alreadyReceived) {
+      await deleteUploadedFiles(req.files);
+    }
+    stored = true;
+
+    if (!alreadyReceived && completed) {
+      await contractService.notifyCounterparty(contract, req.user.id, {
+        subject: 'Your contract is complete',
+        text: `All tranches of contract ${contract.id} (${contract.cropType}) were received.`,
+      });
+    }
+
+    let message = 'Tranche received.';
+
+    if (alreadyReceived) {
+      message = 'Tranche already received.';
+    } else if (completed) {
+      message = 'Tranche received. All tranches delivered; contract completed.';
+    }
+
+    res.json({
+      success: true,
+      message,
+      data: tranche,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  getSchedule,
+  setSchedule,
+  dispatchTranche,
+  receiveTranche,
+};
@@ -0,0 +1,178 @@
+const contractService = require('../services/contractService');
+const disputeService = require('../services/disputeService');
+const { deleteUploadedFiles } = require('../middleware/upload');
+const { getPageParams, buildPagination } = require('../utils/pagination');
+
+/**
+ * Send the 404 response for a contract or dispute the user cannot see
+ */
+const sendNotFound = (res, entity) => {
+  return res.status(404).json({
+    success: false,
+    message: `${entity} not found.`,
+    data: null,
+    error: {
+      code: 'NOT_FOUND',
+      details: `${entity} does not exist or you do not have access`,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Raise a dispute on a contract, with optional evidence `files`
+ */
+const raiseDispute = async (req, res, next) => {
+  // Until the evidence is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const { claimType, description } = req.body;
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      await deleteUploadedFiles(req.files);
+      return sendNotFound(res, 'Contract');
+    }
+
+    const { dispute } = await disputeService.raiseDispute({
+      contractId: contract.id,
+      userId: req.user.id,
+      claimType,
+      description,
+      files: req.files,
+    });
+
+    stored = true;
+
+    await disputeService.notifyParties(contract, {
+      subject: 'A dispute was raised on your contract',
+      text: `${req.user.fullName} raised a ${claimType.replace(/_/g, ' ')} dispute on contract ${contract.id} `
+        + `(${contract.cropType}). An admin will review it.`,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Dispute raised successfully.',
+      data: dispute,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+/**
+ * List the disputes of a contract
+ */
+const getDisputes = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendNotFound(res, 'Contract');
+    }
+
+    const result = await disputeService.listContractDisputes(contract.id, page);
+
+    res.json({
+      success: true,
+      message: 'Disputes retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a dispute with its message thread
+ */
+const getDisputeById = async (req, res, next) => {
+  try {
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      return sendNotFound(res, 'Contract');
+    }
+
+    const dispute = await disputeService.getDispute(req.params.disputeId, contract.id);
+
+    if (!dispute) {
+      return sendNotFound(res, 'Dispute');
+    }
+
+    res.json({
+      success: true,
+      message: 'Dispute retrieved successfully.',
+      data: dispute,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Reply on a dispute, with optional evidence `files`
+ */
+const addDisputeMessage = async (req, res, next) => {
+  // Until the evidence is stored, nothing references the uploaded files
+  let stored = false;
+
+  try {
+    const contract = await contractService.findPartyContract(req.params.id, req.user.id);
+
+    if (!contract) {
+      await deleteUploadedFiles(req.files);
+      return sendNotFound(res, 'Contract');
+    }
+
+    const dispute = await disputeService.getDispute(req.params.disputeId, contract.id);
+
+    if (!dispute) {
+      await deleteUploadedFiles(req.files);
+      return sendNotFound(res, 'Dispute');
+    }
+
+    const message = await disputeService.addMessage({
+      dispute,
+      authorId: req.user.id,
+      body: req.body.body,
+      files: req.files,
+    });
+
+    stored = true;
+
+    res.status(201).json({
+      success: true,
+      message: 'Message added successfully.',
+      data: message,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (!stored) {
+      await deleteUploadedFiles(req.files);
+    }
+    next(error);
+  }
+};
+
+module.exports = {
+  raiseDispute,
+  getDisputes,
+  getDisputeById,
+  addDisputeMessage,
+};
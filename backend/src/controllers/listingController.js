@@ -0,0 +1,373 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const contractService = require('../services/contractService');
+const contractStateMachine = require('../services/contractStateMachine');
+const cropCatalogService = require('../services/cropCatalogService');
+const { deleteUploadedFiles } = require('../middleware/upload');
+const { ApiError } = require('../utils/errors');
+
+const MAX_LISTING_IMAGES = parseInt(process.env.MAX_LISTING_IMAGES) || 10;
+
+// Listing fields buyers have already requested against; fixed once a listing has open contracts
+const COMMERCIAL_FIELDS = ['cropType', 'varietyId', 'unit', 'expectedPrice'];
+
+// Statuses in which the farmer can still manage a listing
+const EDITABLE_STATUSES = ['active', 'contracted'];
+
+const listingInclude = {
+  location: true,
+  variety: {
+    select: {
+      id: true,
+      name: true,
+    },
+  },
+  farmer: {
+    select: {
+      id: true,
+      fullName: true,
+      phone: true,
+      profilePictureUrl: true,
+    },
+  },
+};
+
+/**
+ * Lock one of the farmer's own listings for the rest of the transaction.
+ * Throws 404 if it is not theirs, or 409 if it can no longer be managed.
+ */
+const lockOwnListing = async (tx, listingId, userId) => {
+  const listing = await contractService.lockListing(tx, listingId);
+
+  if (!listing || listing.farmerId !== userId) {
+    throw new ApiError(404, 'NOT_FOUND', 'Listing not found.', 'Listing does not exist or you do not own it');
+  }
+
+  if (!EDITABLE_STATUSES.includes(listing.status)) {
+    throw new ApiError(409, 'INVALID_STATUS', 'Listing can no longer be changed.', `Listing status is ${listing.status}`);
+  }
+
+  return listing;
+};
+
+/**
+ * Get a listing. Listings that are no longer active are only visible to
+ * their farmer and admins; the farmer also sees the number of pending requests.
+ */
+const getListingById = async (req, res, next) => {
+  try {
+    const listing = await prisma.contractListing.findUnique({
+      where: { id: req.params.id },
+      include: listingInclude,
+    });
+
+    const isOwner = Boolean(req.user) && listing && listing.farmerId === req.user.id;
+    const isAdmin = Boolean(req.user) && req.user.role === 'admin';
+
+    if (!listing || (listing.status !== 'active' && !isOwner && !isAdmin)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Listing not found.',
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          details: 'Listing does not exist or is no longer available',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const data = { ...listing };
+
+    if (isOwner) {
+      data.pendingRequests = await prisma.contract.count({
+        where: { listingId: listing.id, status: 'requested' },
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Listing retrieved successfully.',
+      data,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Edit a listing (farmer). PUT requires the crop, quantity, unit and price
+ * like creating a listing does; PATCH takes any of the fields. The crop,
+ * variety and unit are checked against the crop catalog. Once the listing has
+ * open contracts the crop, variety, unit and price are fixed, and the
+ * quantity can never drop below what is already allocated.
+ */
+const updateListing = async (req, res, next) => {
+  try {
+    const { cropType, variety, quantity, unit, expectedPrice, description, harvestDate, locationId } = req.body || {};
+
+    const listing = await prisma.$transaction(async (tx) => {
+      const current = await lockOwnListing(tx, req.params.id, req.user.id);
+      const data = {};
+
+      if (cropType !== undefined || variety !== undefined || unit !== undefined) {
+        const catalogEntry = await cropCatalogService.resolveListingCrop(tx, {
+          cropType: cropType !== undefined ? cropType : current.cropType,
+          variety,
+          unit: unit !== undefined ? unit : current.unit,
+        });
+
+        data.cropId = catalogEntry.cropId;
+        data.cropType = catalogEntry.cropType;
+        data.unit = catalogEntry.unit;
+
+        // The variety is kept unless it is changed or the crop is
+        if (variety !== undefined || catalogEntry.cropId !== current.cropId) {
+          data.varietyId = catalogEntry.varietyId;
+        }
+      }
+      if (expectedPrice !== undefined) {
+        data.expectedPrice = new Prisma.Decimal(expectedPrice);
+      }
+      if (description !== undefined) {
+        data.description = description || null;
+      }
+      if (harvestDate !== undefined) {
+        data.harvestDate = harvestDate ? new Date(harvestDate) : null;
+      }
+      if (locationId) {
+        const location = await tx.userLocation.findFirst({
+          where: { id: locationId, userId: req.user.id },
+          select: { id: true },
+        });
+
+        if (!location) {
+          throw new ApiError(400, 'UNKNOWN_LOCATION', 'Location not found.', 'locationId must be your own saved location');
+        }
+      }
+      if (locationId !== undefined) {
+        data.locationId = locationId || null;
+      }
+
+      const changedTerms = COMMERCIAL_FIELDS.filter(field => (
+        data[field] !== undefined && String(data[field]) !== String(current[field])
+      ));
+
+      if (changedTerms.length > 0) {
+        const openContracts = await tx.contract.count({
+          where: { listingId: current.id, status: { in: contractStateMachine.OPEN_STATUSES } },
+        });
+
+        if (openContracts > 0) {
+          throw new ApiError(409, 'LISTING_HAS_CONTRACTS', 'Listing terms are fixed.',
+            `${changedTerms.join(', ')} cannot change while the listing has open requests or contracts`);
+        }
+      }
+
+      if (quantity !== undefined) {
+        const allocated = new Prisma.Decimal(current.quantity).minus(current.availableQuantity);
+        const available = new Prisma.Decimal(quantity).minus(allocated);
+
+        if (available.lessThan(0)) {
+          throw new ApiError(409, 'QUANTITY_ALLOCATED', 'Quantity is below what is already contracted.',
+            `${allocated} ${current.unit} is allocated to accepted contracts`);
+        }
+
+        data.quantity = new Prisma.Decimal(quantity);
+        data.availableQuantity = available;
+        data.status = available.greaterThan(0) ? 'active' : 'contracted';
+      }
+
+      return tx.contractListing.update({
+        where: { id: current.id },
+        data,
+        include: listingInclude,
+      });
+    });
+
+    res.json({
+      success: true,
+      message: 'Listing updated successfully.',
+      data: listing,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Withdraw a listing (farmer): it stops taking requests and pending requests
+ * are declined. Accepted contracts are not affected.
+ */
+const withdrawListing = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+
+    const { listing, declined } = await prisma.$transaction(async (tx) => {
+      const current = await lockOwnListing(tx, req.params.id, req.user.id);
+
+      const requests = await tx.contract.findMany({
+        where: { listingId: current.id, status: 'requested' },
+        include: {
+          buyer: {
+            select: {
+              id: true,
+              fullName: true,
+              email: true,
+              phone: true,
+            },
+          },
+        },
+      });
+
+      for (const request of requests) {
+        await contractStateMachine.applyTransition(tx, request, 'reject', {
+          actorId: req.user.id,
+          actorRole: 'farmer',
+          reasonCode: 'listing_withdrawn',
+          notes: reason,
+          data: { openRequestKey: null },
+        });
+      }
+
+      await tx.contractOffer.updateMany({
+        where: {
+          contractId: { in: requests.map(request => request.id) },
+          status: 'pending',
+        },
+        data: { status: 'rejected', respondedAt: new Date() },
+      });
+
+      const withdrawn = await tx.contractListing.update({
+        where: { id: current.id },
+        data: { status: 'cancelled' },
+        include: listingInclude,
+      });
+
+      const declinedRequests = requests.map(request => ({
+        ...request,
+        cropType: current.cropType,
+        reason: reason ? `the listing was withdrawn (${reason})` : 'the listing was withdrawn',
+      }));
+
+      return { listing: withdrawn, declined: declinedRequests };
+    });
+
+    await contractService.notifyDeclinedBuyers(declined);
+
+    res.json({
+      success: true,
+      message: 'Listing withdrawn successfully.',
+      data: {
+        ...listing,
+        declinedRequests: declined.length,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Add uploaded `images` to the end of a listing's images (farmer)
+ */
+const addListingImages = async (req, res, next) => {
+  const uploaded = (req.files || []).map(file => `/uploads/${file.filename}`);
+
+  try {
+    if (uploaded.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No images uploaded.',
+        data: null,
+        error: {
+          code: 'NO_FILE',
+          details: 'Please upload at least one image',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const listing = await prisma.$transaction(async (tx) => {
+      const current = await lockOwnListing(tx, req.params.id, req.user.id);
+      const images = [...(current.images || []), ...uploaded];
+
+      if (images.length > MAX_LISTING_IMAGES) {
+        throw new ApiError(400, 'TOO_MANY_FILES', 'Too many images.', `A listing can have at most ${MAX_LISTING_IMAGES} images`);
+      }
+
+      return tx.contractListing.update({
+        where: { id: current.id },
+        data: { images },
+        include: listingInclude,
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Images added successfully.',
+      data: listing,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    // Nothing references the new files if the update failed
+    await deleteUploadedFiles(uploaded);
+    next(error);
+  }
+};
+
+/**
+ * Set the order of a listing's images (farmer). `images` lists the URLs to
+ * keep, in display order; images left out are removed and their files deleted.
+ */
+const updateListingImages = async (req, res, next) => {
+  try {
+    const { images } = req.body || {};
+
+    const { listing, removed } = await prisma.$transaction(async (tx) => {
+      const current = await lockOwnListing(tx, req.params.id, req.user.id);
+      const existing = current.images || [];
+      const unknown = images.filter(url => !existing.includes(url));
+
+      if (unknown.length > 0) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', `Not images of this listing: ${unknown.join(', ')}`);
+      }
+
+      const updated = await tx.contractListing.update({
+        where: { id: current.id },
+        data: { images: images.length > 0 ? images : Prisma.DbNull },
+        include: listingInclude,
+      });
+
+      return { listing: updated, removed: existing.filter(url => !images.includes(url)) };
+    });
+
+    // Only delete files once the listing no longer references them
+    await deleteUploadedFiles(removed);
+
+    res.json({
+      success: true,
+      message: 'Listing images updated successfully.',
+      data: listing,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getListingById,
+  updateListing,
+  withdrawListing,
+  addListingImages,
+  updateListingImages,
+};
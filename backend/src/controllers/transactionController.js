@@ -1,14 +1,15 @@
 const prisma = require('../config/database');
+const { getPageParams, paginate, buildPagination } = require('../utils/pagination');
 
 /**
  * Get all transactions with filters
  */
 const getTransactions = async (req, res, next) => {
   try {
-    const { month, year, type, page = 1, limit = 10 } = req.query;
+    const { month, year, type } = req.query;
     const userId = req.user.id;
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const page = getPageParams(req.query, 10);
     const where = { userId };
 
     // Filter by type
@@ -35,30 +36,16 @@ const getTransactions = async (req, res, next) => {
       };
     }
 
-    const [transactions, total] = await Promise.all([
-      prisma.transaction.findMany({
-        where,
-        skip,
-        take: parseInt(limit),
-        orderBy: { transactionDate: 'desc' },
-      }),
-      prisma.transaction.count({ where }),
-    ]);
-
-    const totalPages = Math.ceil(total / parseInt(limit));
+    const result = await paginate(prisma.transaction, {
+      where,
+      orderBy: { transactionDate: 'desc' },
+    }, page);
 
     res.json({
       success: true,
       message: 'Transactions retrieved successfully.',
-      data: transactions,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages,
-        totalItems: total,
-        itemsPerPage: parseInt(limit),
-        hasNext: parseInt(page) < totalPages,
-        hasPrevious: parseInt(page) > 1,
-      },
+      data: result.items,
+      pagination: buildPagination(req, page, result),
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -1,5 +1,12 @@
 const prisma = require('../config/database');
 const bcrypt = require('bcryptjs');
+const tokenService = require('../services/tokenService');
+const passwordService = require('../services/passwordService');
+const loginProtectionService = require('../services/loginProtectionService');
+const verificationService = require('../services/verificationService');
+const twoFactorService = require('../services/twoFactorService');
+const { sendOtpError, sendTwoFactorError } = require('../utils/responses');
+const { getPageParams, buildPagination } = require('../utils/pagination');
 
 /**
  * Get user profile
@@ -15,7 +22,10 @@ const getProfile = async (req, res, next) => {
         phone: true,
         role: true,
         profilePictureUrl: true,
+        profileStatus: true,
         isVerified: true,
+        emailVerifiedAt: true,
+        phoneVerifiedAt: true,
         createdAt: true,
         updatedAt: true,
       },
@@ -166,6 +176,13 @@ const updateProfile = async (req, res, next) => {
       });
     }
 
+    // A changed email or phone has to be verified again
+    const changedContacts = {
+      email: Boolean(updateData.email) && updateData.email !== req.user.email,
+      phone: Boolean(updateData.phone) && updateData.phone !== req.user.phone,
+    };
+    Object.assign(updateData, verificationService.resetForChangedContacts(changedContacts));
+
     const updatedUser = await prisma.user.update({
       where: { id: req.user.id },
       data: updateData,
@@ -177,6 +194,8 @@ const updateProfile = async (req, res, next) => {
         role: true,
         profilePictureUrl: true,
         isVerified: true,
+        emailVerifiedAt: true,
+        phoneVerifiedAt: true,
         updatedAt: true,
       },
     });
@@ -184,7 +203,134 @@ const updateProfile = async (req, res, next) => {
     res.json({
       success: true,
       message: 'Profile updated successfully.',
-      data: updatedUser,
+      data: {
+        ...updatedUser,
+        verificationRequired: Object.keys(changedContacts).filter(channel => changedContacts[channel]),
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a verification code to the user's email or phone
+ */
+const sendVerificationCode = async (req, res, next) => {
+  try {
+    const { channel } = req.params;
+
+    if (!verificationService.CHANNELS[channel]) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid verification channel.',
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: 'Channel must be either "email" or "phone"',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const result = await verificationService.sendVerificationCode(req.user.id, channel, req.ip);
+
+    if (result.error === 'NO_DESTINATION') {
+      return res.status(400).json({
+        success: false,
+        message: `No ${channel} on this account.`,
+        data: null,
+        error: {
+          code: 'NO_DESTINATION',
+          details: `Add a ${channel} to your profile first`,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (result.error === 'ALREADY_VERIFIED') {
+      return res.status(409).json({
+        success: false,
+        message: `${channel === 'email' ? 'Email' : 'Phone'} is already verified.`,
+        data: null,
+        error: {
+          code: 'ALREADY_VERIFIED',
+          details: 'No verification needed',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Verification code sent successfully.',
+      data: {
+        expiresAt: result.expiresAt,
+        // For development/testing only:
+        ...(process.env.NODE_ENV === 'development' && { otp: result.code }),
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a verification code for the user's email or phone
+ */
+const confirmVerificationCode = async (req, res, next) => {
+  try {
+    const { channel } = req.params;
+    const { code } = req.body;
+
+    if (!verificationService.CHANNELS[channel] || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Channel and code are required.',
+        data: null,
+        error: {
+          code: 'VALIDATION_ERROR',
+          details: 'Channel must be either "email" or "phone" and a code must be provided',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const result = await verificationService.confirmVerificationCode(req.user.id, channel, code);
+
+    if (result.error === 'NO_DESTINATION') {
+      return res.status(400).json({
+        success: false,
+        message: `No ${channel} on this account.`,
+        data: null,
+        error: {
+          code: 'NO_DESTINATION',
+          details: `Add a ${channel} to your profile first`,
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (result.error) {
+      return sendOtpError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: `${channel === 'email' ? 'Email' : 'Phone'} verified successfully.`,
+      data: {
+        isVerified: result.user.isVerified,
+        emailVerifiedAt: result.user.emailVerifiedAt,
+        phoneVerifiedAt: result.user.phoneVerifiedAt,
+      },
       error: null,
       timestamp: new Date().toISOString(),
     });
@@ -323,6 +469,8 @@ const updateBankDetails = async (req, res, next) => {
         bankName,
         accountHolderName,
         upiId,
+        // Changed details need to be verified again by an admin
+        isVerified: false,
       },
       create: {
         userId: req.user.id,
@@ -354,6 +502,420 @@ const updateBankDetails = async (req, res, next) => {
   }
 };
 
+/**
+ * Change password (requires the current password if one is set)
+ */
+const changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await prisma.user.findUnique({
+      where: { id: req.user.id },
+      select: { id: true, role: true, passwordHash: true, twoFactorEnabledAt: true },
+    });
+
+    // OTP sign-ups have no password yet and can set one directly
+    if (user.passwordHash) {
+      const isValidPassword = currentPassword
+        ? await bcrypt.compare(currentPassword, user.passwordHash)
+        : false;
+
+      if (!isValidPassword) {
+        return res.status(401).json({
+          success: false,
+          message: 'Current password is incorrect.',
+          data: null,
+          error: {
+            code: 'INVALID_CREDENTIALS',
+            details: 'Please provide your current password',
+          },
+          timestamp: new Date().toISOString(),
+        });
+      }
+    }
+
+    // Update password and sign out every session, then start a fresh one here.
+    // The second factor was just confirmed (requireSecondFactor), so it carries over.
+    await passwordService.setPassword(user.id, newPassword);
+    const { token, refreshToken } = await tokenService.issueTokens(
+      user,
+      tokenService.getClientContext(req),
+      { secondFactor: Boolean(user.twoFactorEnabledAt) }
+    );
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully.',
+      data: {
+        token,
+        refreshToken,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get login history (time, IP, user agent and result of recent attempts)
+ */
+const getLoginHistory = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const result = await loginProtectionService.getLoginHistory(req.user.id, page);
+
+    res.json({
+      success: true,
+      message: 'Login history retrieved successfully.',
+      data: result.items,
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List active sessions (devices signed in to the account)
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const page = getPageParams(req.query);
+
+    const result = await tokenService.listSessions(req.user.id, page);
+
+    res.json({
+      success: true,
+      message: 'Sessions retrieved successfully.',
+      data: result.items.map((session) => ({
+        ...session,
+        current: session.id === req.sessionId,
+      })),
+      pagination: buildPagination(req, page, result),
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out a single session
+ */
+const revokeSession = async (req, res, next) => {
+  try {
+    const count = await tokenService.revokeSession(req.params.id, req.user.id);
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found.',
+        data: null,
+        error: {
+          code: 'NOT_FOUND',
+          details: 'Session does not exist or has already ended',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Session signed out successfully.',
+      data: {
+        current: req.params.id === req.sessionId,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Sign out everywhere (optionally keeping the current session)
+ */
+const revokeAllSessions = async (req, res, next) => {
+  try {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+
+    const count = await tokenService.revokeAllForUser(req.user.id, undefined, {
+      exceptSessionId: exceptCurrent ? req.sessionId : null,
+    });
+
+    res.json({
+      success: true,
+      message: exceptCurrent
+        ? 'Signed out of all other sessions.'
+        : 'Signed out of all sessions.',
+      data: {
+        revoked: count,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send the validation error for a missing second factor
+ */
+const sendFactorRequired = (res) => {
+  return res.status(400).json({
+    success: false,
+    message: 'Authentication code is required.',
+    data: null,
+    error: {
+      code: 'VALIDATION_ERROR',
+      details: 'Provide either code or recoveryCode',
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Run a step-up second-factor check (`check` returns a twoFactorService
+ * result) under the login lockout, so a stolen access token cannot be used to
+ * guess codes. Wrong codes count as failed logins. Sends 429 and returns null
+ * while the account is locked or throttled.
+ */
+const checkSecondFactor = async (req, res, check) => {
+  const attemptContext = {
+    userId: req.user.id,
+    identifier: req.user.email || req.user.phone,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+  };
+
+  const allowed = await loginProtectionService.checkLoginAllowed(attemptContext);
+
+  if (!allowed.allowed) {
+    await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: allowed.result });
+    res.set('Retry-After', String(allowed.retryAfter));
+    res.status(429).json({
+      success: false,
+      message: 'Too many wrong authentication codes. Please wait before trying again.',
+      data: {
+        retryAfter: allowed.retryAfter,
+      },
+      error: {
+        code: allowed.result === 'locked' ? 'ACCOUNT_LOCKED' : 'TOO_MANY_ATTEMPTS',
+        details: `Retry after ${allowed.retryAfter} seconds`,
+      },
+      timestamp: new Date().toISOString(),
+    });
+    return null;
+  }
+
+  const result = await check();
+
+  if (result.error === 'INVALID_2FA_CODE') {
+    await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: 'invalid_credentials' });
+  } else if (!result.error) {
+    await loginProtectionService.recordLoginAttempt({ ...attemptContext, result: 'success' });
+  }
+
+  return result;
+};
+
+/**
+ * Get two-factor authentication status
+ */
+const getTwoFactorStatus = async (req, res, next) => {
+  try {
+    const status = await twoFactorService.getStatus(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor status retrieved successfully.',
+      data: status,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Start 2FA enrollment - returns the secret and otpauth URL for the authenticator app
+ */
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const result = await twoFactorService.startSetup(req.user.id);
+
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Scan the code with your authenticator app, then confirm with a code.',
+      data: {
+        secret: result.secret,
+        otpauthUrl: result.otpauthUrl,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm 2FA enrollment with a code - returns the recovery codes (shown once)
+ */
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    const { code } = req.body || {};
+
+    if (!code) {
+      return sendFactorRequired(res);
+    }
+
+    const result = await twoFactorService.enable(req.user.id, code);
+
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    // The code just entered counts as a fresh second factor for this session
+    await twoFactorService.markSessionVerified(req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store your recovery codes safely.',
+      data: {
+        recoveryCodes: result.recoveryCodes,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm the second factor on the current session before a sensitive action
+ */
+const verifyTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+
+    if (!code && !recoveryCode) {
+      return sendFactorRequired(res);
+    }
+
+    const result = await checkSecondFactor(req, res, () => twoFactorService.verify(req.user.id, { code, recoveryCode }));
+
+    if (!result) {
+      return;
+    }
+
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    await twoFactorService.markSessionVerified(req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication confirmed.',
+      data: {
+        method: result.method,
+        ...(result.recoveryCodesRemaining !== undefined && {
+          recoveryCodesRemaining: result.recoveryCodesRemaining,
+        }),
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the recovery codes (requires a second factor)
+ */
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+
+    if (!code && !recoveryCode) {
+      return sendFactorRequired(res);
+    }
+
+    const result = await checkSecondFactor(req, res, () => (
+      twoFactorService.regenerateRecoveryCodes(req.user.id, { code, recoveryCode })
+    ));
+
+    if (!result) {
+      return;
+    }
+
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Recovery codes regenerated. Previous codes no longer work.',
+      data: {
+        recoveryCodes: result.recoveryCodes,
+      },
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Turn 2FA off (requires a second factor)
+ */
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    const { code, recoveryCode } = req.body || {};
+
+    if (!code && !recoveryCode) {
+      return sendFactorRequired(res);
+    }
+
+    const result = await checkSecondFactor(req, res, () => twoFactorService.disable(req.user.id, { code, recoveryCode }));
+
+    if (!result) {
+      return;
+    }
+
+    if (result.error) {
+      return sendTwoFactorError(res, result);
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled.',
+      data: null,
+      error: null,
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete user account
  */
@@ -365,6 +927,8 @@ const deleteAccount = async (req, res, next) => {
       data: { isActive: false },
     });
 
+    await tokenService.revokeAllForUser(req.user.id);
+
     res.json({
       success: true,
       message: 'Account deleted successfully.',
@@ -380,9 +944,22 @@ const deleteAccount = async (req, res, next) => {
 module.exports = {
   getProfile,
   updateProfile,
+  sendVerificationCode,
+  confirmVerificationCode,
   uploadProfilePicture,
   updateLocation,
   updateBankDetails,
+  changePassword,
+  getLoginHistory,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
   deleteAccount,
 };
 
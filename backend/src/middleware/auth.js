@@ -1,5 +1,15 @@
 const { verifyToken } = require('../config/jwt');
 const prisma = require('../config/database');
+const { validateSession } = require('../services/tokenService');
+const { hasFreshSecondFactor } = require('../services/twoFactorService');
+
+/**
+ * Whether a token predates the user's last password change
+ */
+const isIssuedBeforePasswordChange = (decoded, user) => {
+  return Boolean(user.passwordChangedAt)
+    && decoded.iat < Math.floor(user.passwordChangedAt.getTime() / 1000);
+};
 
 /**
  * Authentication middleware
@@ -23,7 +33,7 @@ const authenticate = async (req, res, next) => {
     }
 
     const token = authHeader.substring(7); // Remove 'Bearer ' prefix
-    const decoded = verifyToken(token);
+    const decoded = verifyToken(token, 'access');
 
     if (!decoded) {
       return res.status(401).json({
@@ -48,8 +58,10 @@ const authenticate = async (req, res, next) => {
         phone: true,
         role: true,
         profilePictureUrl: true,
+        profileStatus: true,
         isVerified: true,
         isActive: true,
+        passwordChangedAt: true,
       },
     });
 
@@ -79,7 +91,138 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    // Attach user to request
+    // Tokens issued before the last password change are no longer valid
+    if (isIssuedBeforePasswordChange(decoded, user)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token.',
+        data: null,
+        error: {
+          code: 'UNAUTHORIZED',
+          details: 'Password was changed, please login again',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Signed-out or revoked sessions invalidate their access tokens immediately
+    if (!decoded.sid || !(await validateSession(decoded.sid, user.id, req.ip))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has ended.',
+        data: null,
+        error: {
+          code: 'SESSION_REVOKED',
+          details: 'This session was signed out, please login again',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (user.profileStatus === 'pending') {
+      return res.status(403).json({
+        success: false,
+        message: 'Profile setup is incomplete.',
+        data: null,
+        error: {
+          code: 'PROFILE_INCOMPLETE',
+          details: 'Complete your profile via /api/auth/complete-profile',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    // Attach user and session to request
+    delete user.passwordChangedAt;
+    req.user = user;
+    req.sessionId = decoded.sid;
+    next();
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication error.',
+      data: null,
+      error: {
+        code: 'INTERNAL_ERROR',
+        details: error.message,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+};
+
+/**
+ * Onboarding authentication middleware
+ * Accepts only the limited-scope token issued to accounts with a pending profile
+ */
+const authenticateOnboarding = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required. Please provide a valid token.',
+        data: null,
+        error: {
+          code: 'UNAUTHORIZED',
+          details: 'No token provided',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const decoded = verifyToken(authHeader.substring(7), 'onboarding');
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired onboarding token.',
+        data: null,
+        error: {
+          code: 'UNAUTHORIZED',
+          details: 'Token verification failed',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      select: {
+        id: true,
+        phone: true,
+        profileStatus: true,
+        isActive: true,
+      },
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found.',
+        data: null,
+        error: {
+          code: 'UNAUTHORIZED',
+          details: 'User associated with token does not exist or is inactive',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    if (user.profileStatus !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Profile is already complete.',
+        data: null,
+        error: {
+          code: 'PROFILE_ALREADY_COMPLETE',
+          details: 'Please login normally',
+        },
+        timestamp: new Date().toISOString(),
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
@@ -105,7 +248,7 @@ const optionalAuth = async (req, res, next) => {
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = verifyToken(token);
+      const decoded = verifyToken(token, 'access');
 
       if (decoded) {
         const user = await prisma.user.findUnique({
@@ -117,13 +260,19 @@ const optionalAuth = async (req, res, next) => {
             phone: true,
             role: true,
             profilePictureUrl: true,
+            profileStatus: true,
             isVerified: true,
             isActive: true,
+            passwordChangedAt: true,
           },
         });
 
-        if (user && user.isActive) {
+        if (user && user.isActive && user.profileStatus === 'complete'
+          && !isIssuedBeforePasswordChange(decoded, user)
+          && decoded.sid && await validateSession(decoded.sid, user.id, req.ip)) {
+          delete user.passwordChangedAt;
           req.user = user;
+          req.sessionId = decoded.sid;
         }
       }
     }
@@ -170,10 +319,61 @@ const authorize = (...roles) => {
   };
 };
 
+/**
+ * Verified-account middleware
+ * Rejects users whose email and phone are not both verified when `enabled`
+ */
+const requireVerified = (enabled = true) => {
+  return (req, res, next) => {
+    if (!enabled || (req.user && req.user.isVerified)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Account verification required.',
+      data: null,
+      error: {
+        code: 'VERIFICATION_REQUIRED',
+        details: 'Verify your email and phone via /api/user/verify before continuing',
+      },
+      timestamp: new Date().toISOString(),
+    });
+  };
+};
+
+/**
+ * Fresh second factor middleware
+ * For users with 2FA enabled, requires the session to have confirmed a code recently
+ */
+const requireSecondFactor = async (req, res, next) => {
+  try {
+    if (await hasFreshSecondFactor(req.user.id, req.sessionId)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      success: false,
+      message: 'Two-factor confirmation required.',
+      data: null,
+      error: {
+        code: 'SECOND_FACTOR_REQUIRED',
+        details: 'Confirm your authenticator code via /api/user/2fa/verify and retry',
+      },
+      timestamp: new Date().toISOString(),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   authenticate,
+  authenticateOnboarding,
   optionalAuth,
   authorize,
+  requireVerified,
+  requireSecondFactor,
 };
 
 
@@ -1,7 +1,23 @@
+const { ApiError } = require('../utils/errors');
+
 /**
  * Global error handler middleware
  */
 const errorHandler = (err, req, res, next) => {
+  // Expected API errors (conflicts, invalid state) carry their own status and code
+  if (err instanceof ApiError) {
+    return res.status(err.statusCode).json({
+      success: false,
+      message: err.message,
+      data: null,
+      error: {
+        code: err.code,
+        details: err.details || null,
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
   console.error('Error:', err);
 
   // Prisma errors
@@ -20,9 +20,9 @@ const storage = multer.diskStorage({
   },
 });
 
-// File filter
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'jpg,jpeg,png,webp').split(',');
+// File filter accepting the given comma-separated extensions
+const createFileFilter = (types) => (req, file, cb) => {
+  const allowedTypes = types.split(',');
   const ext = path.extname(file.originalname).toLowerCase().substring(1);
 
   if (allowedTypes.includes(ext)) {
@@ -32,13 +32,22 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
+const limits = {
+  fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880, // 5MB default
+};
+
 // Configure multer
 const upload = multer({
   storage,
-  fileFilter,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5242880, // 5MB default
-  },
+  fileFilter: createFileFilter(process.env.ALLOWED_FILE_TYPES || 'jpg,jpeg,png,webp'),
+  limits,
+});
+
+// Delivery proofs and dispute evidence may also be documents
+const documentUpload = multer({
+  storage,
+  fileFilter: createFileFilter(process.env.DELIVERY_PROOF_FILE_TYPES || 'jpg,jpeg,png,webp,pdf'),
+  limits,
 });
 
 /**
@@ -51,6 +60,16 @@ const uploadSingle = upload.single('image');
  */
 const uploadMultiple = upload.array('images', 5);
 
+/**
+ * Delivery proof photos/documents upload middleware (max 5)
+ */
+const uploadDeliveryProof = documentUpload.array('files', 5);
+
+/**
+ * Dispute evidence photos/documents upload middleware (max 5)
+ */
+const uploadEvidence = documentUpload.array('files', 5);
+
 /**
  * Error handler for multer
  */
@@ -76,7 +95,7 @@ const handleUploadError = (err, req, res, next) => {
         data: null,
         error: {
           code: 'TOO_MANY_FILES',
-          details: 'Maximum 5 images allowed per listing',
+          details: 'Maximum 5 files allowed per upload',
         },
         timestamp: new Date().toISOString(),
       });
@@ -110,10 +129,36 @@ const handleUploadError = (err, req, res, next) => {
   next();
 };
 
+/**
+ * Delete stored uploads, given as `/uploads/...` URLs or as the multer files
+ * of a request (req.files). Files that are already gone are ignored; other
+ * failures are logged, not thrown.
+ */
+const deleteUploadedFiles = (uploads) => {
+  return Promise.all((uploads || []).map(async (entry) => {
+    const url = entry && entry.filename ? `/uploads/${entry.filename}` : entry;
+
+    if (typeof url !== 'string' || !url.startsWith('/uploads/')) {
+      return;
+    }
+
+    try {
+      await fs.promises.unlink(path.join(uploadDir, path.basename(url)));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Failed to delete upload ${url}:`, error.message);
+      }
+    }
+  }));
+};
+
 module.exports = {
   uploadSingle,
   uploadMultiple,
+  uploadDeliveryProof,
+  uploadEvidence,
   handleUploadError,
+  deleteUploadedFiles,
 };
 
 
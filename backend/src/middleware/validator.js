@@ -2,6 +2,8 @@
  * Validation middleware for request data
  */
 
+const { deleteUploadedFiles } = require('./upload');
+
 // Validation helpers
 const validateEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -25,6 +27,29 @@ const validateFullName = (name) => {
   return nameRegex.test(name);
 };
 
+/**
+ * Send the 400 response for a list of validation errors, or call next().
+ * Files uploaded with a rejected request are deleted before responding.
+ */
+const finishValidation = async (errors, res, next) => {
+  if (errors.length > 0) {
+    await deleteUploadedFiles(res.req.files);
+
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed.',
+      data: null,
+      error: {
+        code: 'VALIDATION_ERROR',
+        details: errors.join('; '),
+      },
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate registration data
  */
@@ -52,20 +77,7 @@ const validateRegister = (req, res, next) => {
     errors.push('Role must be either "farmer" or "buyer"');
   }
 
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed.',
-      data: null,
-      error: {
-        code: 'VALIDATION_ERROR',
-        details: errors.join('; '),
-      },
-      timestamp: new Date().toISOString(),
-    });
-  }
-
-  next();
+  return finishValidation(errors, res, next);
 };
 
 /**
@@ -91,27 +103,270 @@ const validateLogin = (req, res, next) => {
     errors.push('Phone must be exactly 10 digits');
   }
 
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed.',
-      data: null,
-      error: {
-        code: 'VALIDATION_ERROR',
-        details: errors.join('; '),
-      },
-      timestamp: new Date().toISOString(),
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate profile completion data (OTP sign-up onboarding)
+ */
+const validateCompleteProfile = (req, res, next) => {
+  const { fullName, email, password, role } = req.body;
+  const errors = [];
+
+  if (!fullName || !validateFullName(fullName)) {
+    errors.push('Full name must be 2-100 characters and contain only letters and spaces');
+  }
+
+  if (!email || !validateEmail(email)) {
+    errors.push('Valid email is required');
+  }
+
+  if (password && !validatePassword(password)) {
+    errors.push('Password must be at least 8 characters with 1 uppercase, 1 number, and 1 special character');
+  }
+
+  if (!role || !['farmer', 'buyer'].includes(role)) {
+    errors.push('Role must be either "farmer" or "buyer"');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate password change data
+ */
+const validateChangePassword = (req, res, next) => {
+  const { newPassword } = req.body;
+  const errors = [];
+
+  if (!newPassword || !validatePassword(newPassword)) {
+    errors.push('New password must be at least 8 characters with 1 uppercase, 1 number, and 1 special character');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate offer terms (price per unit, optional quantity).
+ * On contract requests the price is optional and defaults to the listing's.
+ */
+const validateOffer = (priceRequired) => (req, res, next) => {
+  const { pricePerUnit, quantity, expiresInHours } = req.body || {};
+  const errors = [];
+
+  if ((priceRequired || pricePerUnit !== undefined)
+    && (pricePerUnit === undefined || isNaN(pricePerUnit) || parseFloat(pricePerUnit) <= 0)) {
+    errors.push('Price per unit must be a positive number');
+  }
+
+  if (quantity !== undefined && (isNaN(quantity) || parseFloat(quantity) <= 0)) {
+    errors.push('Quantity must be a positive number');
+  }
+
+  if (expiresInHours !== undefined && (isNaN(expiresInHours) || parseInt(expiresInHours) <= 0)) {
+    errors.push('Offer expiry must be a positive number of hours');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+const validateContractRequest = validateOffer(false);
+const validateCounterOffer = validateOffer(true);
+
+// Reason codes a party can give when rejecting or cancelling a contract
+const PARTY_REASON_CODES = [
+  'price_disagreement',
+  'quantity_unavailable',
+  'quality_concerns',
+  'delivery_issue',
+  'payment_issue',
+  'party_unresponsive',
+  'changed_plans',
+  'other',
+];
+
+/**
+ * Validate a rejection/cancellation reason: a known reason code, with a
+ * description required for "other"
+ */
+const validateContractReason = (req, res, next) => {
+  const { reasonCode, reason } = req.body || {};
+  const errors = [];
+
+  if (reasonCode !== undefined && !PARTY_REASON_CODES.includes(reasonCode)) {
+    errors.push(`Reason code must be one of: ${PARTY_REASON_CODES.join(', ')}`);
+  }
+
+  if (reasonCode === 'other' && (!reason || reason.trim().length === 0)) {
+    errors.push('Reason is required when the reason code is "other"');
+  }
+
+  if (reason && reason.length > 1000) {
+    errors.push('Reason cannot exceed 1000 characters');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a delivery receipt: optional accepted quantity and quality grade
+ */
+const validateReceipt = (req, res, next) => {
+  const { acceptedQuantity, qualityGrade } = req.body || {};
+  const errors = [];
+
+  if (acceptedQuantity !== undefined && (isNaN(acceptedQuantity) || parseFloat(acceptedQuantity) < 0)) {
+    errors.push('Accepted quantity must be zero or a positive number');
+  }
+
+  if (qualityGrade !== undefined && (typeof qualityGrade !== 'string' || qualityGrade.trim().length === 0 || qualityGrade.length > 20)) {
+    errors.push('Quality grade must be 1-20 characters');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+const DISPUTE_CLAIM_TYPES = ['short_delivery', 'quality_issue', 'damaged_goods', 'non_delivery', 'non_payment', 'other'];
+const DISPUTE_OUTCOMES = ['refund', 'partial_settlement', 'dismissed'];
+
+/**
+ * Validate a message text (dispute description or reply)
+ */
+const checkMessageBody = (body, label, errors) => {
+  if (!body || typeof body !== 'string' || body.trim().length === 0) {
+    errors.push(`${label} is required`);
+  } else if (body.length > 2000) {
+    errors.push(`${label} cannot exceed 2000 characters`);
+  }
+};
+
+/**
+ * Validate a new dispute
+ */
+const validateDispute = (req, res, next) => {
+  const { claimType, description } = req.body || {};
+  const errors = [];
+
+  if (!DISPUTE_CLAIM_TYPES.includes(claimType)) {
+    errors.push(`Claim type must be one of: ${DISPUTE_CLAIM_TYPES.join(', ')}`);
+  }
+
+  checkMessageBody(description, 'Description', errors);
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a dispute message
+ */
+const validateDisputeMessage = (req, res, next) => {
+  const errors = [];
+
+  checkMessageBody((req.body || {}).body, 'Message', errors);
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a dispute resolution: outcome, and amount for a partial settlement
+ */
+const validateDisputeResolution = (req, res, next) => {
+  const { outcome, amount } = req.body || {};
+  const errors = [];
+
+  if (!DISPUTE_OUTCOMES.includes(outcome)) {
+    errors.push(`Outcome must be one of: ${DISPUTE_OUTCOMES.join(', ')}`);
+  }
+
+  if (outcome === 'partial_settlement' && (amount === undefined || isNaN(amount) || parseFloat(amount) <= 0)) {
+    errors.push('Amount must be a positive number for a partial settlement');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a contract amendment: at least one of quantity, agreedPrice,
+ * deliveryDate or terms, and an optional reason
+ */
+const validateAmendment = (req, res, next) => {
+  const { quantity, agreedPrice, deliveryDate, terms, reason } = req.body || {};
+  const errors = [];
+
+  if ([quantity, agreedPrice, deliveryDate, terms].every(value => value === undefined)) {
+    errors.push('Propose a new quantity, agreedPrice, deliveryDate or terms');
+  }
+
+  if (quantity !== undefined && (isNaN(quantity) || parseFloat(quantity) <= 0)) {
+    errors.push('Quantity must be a positive number');
+  }
+
+  if (agreedPrice !== undefined && (isNaN(agreedPrice) || parseFloat(agreedPrice) <= 0)) {
+    errors.push('Agreed price must be a positive number');
+  }
+
+  if (deliveryDate !== undefined) {
+    const date = new Date(deliveryDate);
+
+    if (isNaN(date.getTime())) {
+      errors.push('Delivery date must be a valid date');
+    } else if (date.toISOString().slice(0, 10) < new Date().toISOString().slice(0, 10)) {
+      errors.push('Delivery date cannot be in the past');
+    }
+  }
+
+  if (terms !== undefined && (typeof terms !== 'string' || terms.length > 5000)) {
+    errors.push('Terms must be text of at most 5000 characters');
+  }
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 1000)) {
+    errors.push('Reason cannot exceed 1000 characters');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a delivery schedule: 1-20 tranches, each with a scheduledDate
+ * that is not in the past, a positive quantity and an optional location
+ */
+const validateDeliverySchedule = (req, res, next) => {
+  const { tranches } = req.body || {};
+  const errors = [];
+  const today = new Date().toISOString().slice(0, 10);
+
+  if (!Array.isArray(tranches) || tranches.length === 0 || tranches.length > 20) {
+    errors.push('Tranches must be a list of 1-20 deliveries');
+  } else {
+    tranches.forEach((tranche, index) => {
+      const label = `Tranche ${index + 1}`;
+      const { scheduledDate, quantity, location } = tranche || {};
+      const date = new Date(scheduledDate);
+
+      if (!scheduledDate || isNaN(date.getTime())) {
+        errors.push(`${label}: scheduled date must be a valid date`);
+      } else if (date.toISOString().slice(0, 10) < today) {
+        errors.push(`${label}: scheduled date cannot be in the past`);
+      }
+
+      if (quantity === undefined || isNaN(quantity) || parseFloat(quantity) <= 0) {
+        errors.push(`${label}: quantity must be a positive number`);
+      }
+
+      if (location !== undefined && (typeof location !== 'string' || location.length > 255)) {
+        errors.push(`${label}: location cannot exceed 255 characters`);
+      }
     });
   }
 
-  next();
+  return finishValidation(errors, res, next);
 };
 
 /**
  * Validate contract listing data
  */
 const validateContractListing = (req, res, next) => {
-  const { cropType, quantity, unit, expectedPrice } = req.body;
+  const { cropType, variety, quantity, unit, expectedPrice } = req.body;
   const errors = [];
 
   if (!cropType || cropType.trim().length === 0) {
@@ -130,24 +385,245 @@ const validateContractListing = (req, res, next) => {
     errors.push('Unit is required');
   }
 
+  if (variety !== undefined && variety !== null && typeof variety !== 'string') {
+    errors.push('Variety must be text');
+  }
+
   if (!expectedPrice || isNaN(expectedPrice) || parseFloat(expectedPrice) <= 0) {
     errors.push('Expected price must be a positive number');
   }
 
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed.',
-      data: null,
-      error: {
-        code: 'VALIDATION_ERROR',
-        details: errors.join('; '),
-      },
-      timestamp: new Date().toISOString(),
-    });
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a partial listing update (PATCH): at least one field, and the
+ * same rules as creating a listing for the fields sent
+ */
+const validateListingUpdate = (req, res, next) => {
+  const { cropType, variety, quantity, unit, expectedPrice, description, harvestDate, locationId } = req.body || {};
+  const fields = ['cropType', 'variety', 'quantity', 'unit', 'expectedPrice', 'description', 'harvestDate', 'locationId'];
+  const errors = [];
+
+  if (fields.every(field => (req.body || {})[field] === undefined)) {
+    errors.push(`Provide at least one of: ${fields.join(', ')}`);
   }
 
-  next();
+  if (cropType !== undefined && (typeof cropType !== 'string' || cropType.trim().length === 0)) {
+    errors.push('Crop type cannot be empty');
+  }
+
+  if (variety !== undefined && variety !== null && typeof variety !== 'string') {
+    errors.push('Variety must be text');
+  }
+
+  if (quantity !== undefined && (isNaN(quantity) || parseFloat(quantity) <= 0 || parseFloat(quantity) > 10000)) {
+    errors.push('Quantity must be a positive number up to 10000');
+  }
+
+  if (unit !== undefined && (typeof unit !== 'string' || unit.trim().length === 0)) {
+    errors.push('Unit cannot be empty');
+  }
+
+  if (expectedPrice !== undefined && (isNaN(expectedPrice) || parseFloat(expectedPrice) <= 0)) {
+    errors.push('Expected price must be a positive number');
+  }
+
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push('Description must be text');
+  }
+
+  if (harvestDate && isNaN(new Date(harvestDate).getTime())) {
+    errors.push('Harvest date must be a valid date');
+  }
+
+  if (locationId !== undefined && locationId !== null && typeof locationId !== 'string') {
+    errors.push('Location id must be text');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a new image order: a list of distinct image URLs
+ */
+const validateListingImages = (req, res, next) => {
+  const { images } = req.body || {};
+  const errors = [];
+
+  if (!Array.isArray(images) || images.some(url => typeof url !== 'string')) {
+    errors.push('Images must be a list of image URLs');
+  } else if (new Set(images).size !== images.length) {
+    errors.push('Images cannot contain duplicates');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+const LISTING_SORTS = ['newest', 'price_asc', 'price_desc', 'harvest_asc', 'harvest_desc', 'distance', 'relevance'];
+
+/**
+ * Check an optional min/max pair of non-negative numbers
+ */
+const checkRange = (min, max, label, errors) => {
+  const invalid = [min, max].filter(value => value !== undefined && (value === '' || isNaN(value) || parseFloat(value) < 0));
+
+  if (invalid.length > 0) {
+    errors.push(`${label} must be zero or a positive number`);
+  } else if (min !== undefined && max !== undefined && parseFloat(min) > parseFloat(max)) {
+    errors.push(`Minimum ${label.toLowerCase()} cannot exceed the maximum`);
+  }
+};
+
+/**
+ * Validate listing search parameters: `lat` and `lng` together, a `radiusKm`
+ * of at most 500 that needs both, price, quantity and harvest date ranges,
+ * the text search `q` and a `sort` its inputs allow
+ */
+const validateListingSearch = (req, res, next) => {
+  const { lat, lng, radiusKm, minPrice, maxPrice, minQuantity, maxQuantity, harvestFrom, harvestTo, q, sort } = req.query;
+  const errors = [];
+
+  // A repeated parameter arrives as an array
+  for (const field of ['crop', 'unit', 'location']) {
+    const value = req.query[field];
+
+    if (value !== undefined && (typeof value !== 'string' || value.trim().length === 0 || value.length > 100)) {
+      errors.push(`${field} must be a single value of 1-100 characters`);
+    }
+  }
+
+  if ((lat === undefined) !== (lng === undefined)) {
+    errors.push('Provide both lat and lng');
+  }
+
+  if (lat !== undefined && (lat === '' || isNaN(lat) || Math.abs(parseFloat(lat)) > 90)) {
+    errors.push('Latitude must be between -90 and 90');
+  }
+
+  if (lng !== undefined && (lng === '' || isNaN(lng) || Math.abs(parseFloat(lng)) > 180)) {
+    errors.push('Longitude must be between -180 and 180');
+  }
+
+  if (radiusKm !== undefined) {
+    if (lat === undefined) {
+      errors.push('radiusKm needs lat and lng');
+    }
+    if (radiusKm === '' || isNaN(radiusKm) || parseFloat(radiusKm) <= 0 || parseFloat(radiusKm) > 500) {
+      errors.push('Radius must be more than 0 and at most 500 km');
+    }
+  }
+
+  checkRange(minPrice, maxPrice, 'Price', errors);
+  checkRange(minQuantity, maxQuantity, 'Quantity', errors);
+
+  const invalidDates = [harvestFrom, harvestTo].filter(date => date && isNaN(new Date(date).getTime()));
+
+  if (invalidDates.length > 0) {
+    errors.push('Harvest dates must be valid dates');
+  } else if (harvestFrom && harvestTo && new Date(harvestFrom) > new Date(harvestTo)) {
+    errors.push('harvestFrom cannot be after harvestTo');
+  }
+
+  if (q !== undefined && (typeof q !== 'string' || q.length > 200)) {
+    errors.push('Search text cannot exceed 200 characters');
+  }
+
+  if (sort !== undefined && !LISTING_SORTS.includes(sort)) {
+    errors.push(`Sort must be one of: ${LISTING_SORTS.join(', ')}`);
+  } else if (sort === 'distance' && lat === undefined) {
+    errors.push('Sorting by distance needs lat and lng');
+  } else if (sort === 'relevance' && !(q && q.trim())) {
+    errors.push('Sorting by relevance needs q');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Check an optional list of names, each 1-50 characters
+ */
+const checkNameList = (list, label, errors) => {
+  if (list === undefined) {
+    return;
+  }
+
+  if (!Array.isArray(list) || list.some(name => typeof name !== 'string' || name.trim().length === 0 || name.length > 50)) {
+    errors.push(`${label} must be a list of names of 1-50 characters`);
+  }
+};
+
+/**
+ * Validate a catalog crop: a name (required when creating), and optional
+ * aliases, unit codes, grades and isActive
+ */
+const validateCrop = (nameRequired) => (req, res, next) => {
+  const { name, aliases, units, grades, isActive } = req.body || {};
+  const errors = [];
+
+  if (name !== undefined || nameRequired) {
+    if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+      errors.push('Name must be 1-50 characters');
+    }
+  }
+
+  checkNameList(aliases, 'Aliases', errors);
+  checkNameList(units, 'Units', errors);
+  checkNameList(grades, 'Grades', errors);
+
+  if (Array.isArray(grades) && grades.some(grade => typeof grade === 'string' && grade.length > 20)) {
+    errors.push('Grades cannot exceed 20 characters');
+  }
+
+  if (isActive !== undefined && typeof isActive !== 'boolean') {
+    errors.push('isActive must be true or false');
+  }
+
+  return finishValidation(errors, res, next);
+};
+
+const validateCropCreate = validateCrop(true);
+const validateCropUpdate = validateCrop(false);
+
+/**
+ * Validate a new crop variety: a name and optional aliases
+ */
+const validateCropVariety = (req, res, next) => {
+  const { name, aliases } = req.body || {};
+  const errors = [];
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+    errors.push('Name must be 1-50 characters');
+  }
+
+  checkNameList(aliases, 'Aliases', errors);
+
+  return finishValidation(errors, res, next);
+};
+
+/**
+ * Validate a new unit of measurement: a code of up to 20 characters, a name,
+ * optional aliases and kilograms per unit
+ */
+const validateMeasurementUnit = (req, res, next) => {
+  const { code, name, aliases, kgFactor } = req.body || {};
+  const errors = [];
+
+  if (typeof code !== 'string' || code.trim().length === 0 || code.length > 20) {
+    errors.push('Code must be 1-20 characters');
+  }
+
+  if (typeof name !== 'string' || name.trim().length === 0 || name.length > 50) {
+    errors.push('Name must be 1-50 characters');
+  }
+
+  checkNameList(aliases, 'Aliases', errors);
+
+  if (kgFactor !== undefined && kgFactor !== null && (kgFactor === '' || isNaN(kgFactor) || parseFloat(kgFactor) <= 0)) {
+    errors.push('kgFactor must be a positive number');
+  }
+
+  return finishValidation(errors, res, next);
 };
 
 /**
@@ -177,26 +653,31 @@ const validateTransaction = (req, res, next) => {
     }
   }
 
-  if (errors.length > 0) {
-    return res.status(400).json({
-      success: false,
-      message: 'Validation failed.',
-      data: null,
-      error: {
-        code: 'VALIDATION_ERROR',
-        details: errors.join('; '),
-      },
-      timestamp: new Date().toISOString(),
-    });
-  }
-
-  next();
+  return finishValidation(errors, res, next);
 };
 
 module.exports = {
   validateRegister,
   validateLogin,
+  validateCompleteProfile,
+  validateChangePassword,
   validateContractListing,
+  validateListingUpdate,
+  validateListingImages,
+  validateListingSearch,
+  validateCropCreate,
+  validateCropUpdate,
+  validateCropVariety,
+  validateMeasurementUnit,
+  validateContractRequest,
+  validateCounterOffer,
+  validateContractReason,
+  validateReceipt,
+  validateDispute,
+  validateDisputeMessage,
+  validateDisputeResolution,
+  validateAmendment,
+  validateDeliverySchedule,
   validateTransaction,
   validateEmail,
   validatePhone,
@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateDisputeMessage, validateDisputeResolution, validateCropCreate, validateCropUpdate, validateCropVariety, validateMeasurementUnit } = require('../middleware/validator');
+const { uploadEvidence, handleUploadError } = require('../middleware/upload');
+
+// All routes require an admin
+router.use(authenticate, authorize('admin'));
+
+router.get('/stats', adminController.getStats);
+
+router.get('/users', adminController.getUsers);
+router.get('/users/:id', adminController.getUserById);
+router.put('/users/:id/activate', adminController.activateUser);
+router.put('/users/:id/deactivate', adminController.deactivateUser);
+router.put('/users/:id/verify', adminController.verifyUser);
+router.put('/users/:id/bank-details/verify', adminController.verifyBankDetails);
+
+router.get('/contracts', adminController.getContracts);
+router.get('/contracts/:id', adminController.getContractById);
+router.put('/contracts/:id/cancel', adminController.cancelContract);
+
+router.put('/listings/:id/remove', adminController.removeListing);
+
+router.get('/disputes', adminController.getDisputes);
+router.get('/disputes/:id', adminController.getDisputeById);
+router.put('/disputes/:id/assign', adminController.assignDispute);
+router.post('/disputes/:id/messages', uploadEvidence, handleUploadError, validateDisputeMessage, adminController.addDisputeMessage);
+router.put('/disputes/:id/resolve', validateDisputeResolution, adminController.resolveDispute);
+
+router.post('/crops', validateCropCreate, adminController.createCrop);
+router.put('/crops/:id', validateCropUpdate, adminController.updateCrop);
+router.post('/crops/:id/varieties', validateCropVariety, adminController.addCropVariety);
+router.post('/units', validateMeasurementUnit, adminController.createUnit);
+
+router.get('/audit-logs', adminController.getAuditLogs);
+
+module.exports = router;
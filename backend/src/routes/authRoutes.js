@@ -1,16 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
-const { validateRegister, validateLogin } = require('../middleware/validator');
-const { authenticate } = require('../middleware/auth');
+const { validateRegister, validateLogin, validateCompleteProfile } = require('../middleware/validator');
+const { authenticate, authenticateOnboarding } = require('../middleware/auth');
 
 // Public routes
 router.post('/register', validateRegister, authController.register);
 router.post('/login', validateLogin, authController.login);
+router.post('/login/2fa', authController.loginTwoFactor);
 router.post('/send-otp', authController.sendOTP);
 router.post('/verify-otp', authController.verifyOTP);
+router.post('/unlock/send-otp', authController.sendUnlockOTP);
+router.post('/unlock', authController.unlockAccount);
 router.post('/forgot-password', authController.forgotPassword);
 router.post('/reset-password', authController.resetPassword);
+router.post('/refresh', authController.refresh);
+
+// Onboarding route (OTP sign-ups with a pending profile)
+router.post('/complete-profile', authenticateOnboarding, validateCompleteProfile, authController.completeProfile);
 
 // Protected route
 router.post('/logout', authenticate, authController.logout);
@@ -1,24 +1,64 @@
 const express = require('express');
 const router = express.Router();
 const contractController = require('../controllers/contractController');
-const { authenticate, optionalAuth } = require('../middleware/auth');
-const { validateContractListing } = require('../middleware/validator');
-const { uploadMultiple, handleUploadError } = require('../middleware/upload');
+const disputeController = require('../controllers/disputeController');
+const amendmentController = require('../controllers/amendmentController');
+const deliveryScheduleController = require('../controllers/deliveryScheduleController');
+const listingController = require('../controllers/listingController');
+const { authenticate, optionalAuth, requireVerified } = require('../middleware/auth');
+const { validateContractListing, validateListingUpdate, validateListingImages, validateListingSearch, validateContractRequest, validateCounterOffer, validateContractReason, validateReceipt, validateDispute, validateDisputeMessage, validateAmendment, validateDeliverySchedule } = require('../middleware/validator');
+const { uploadMultiple, uploadDeliveryProof, uploadEvidence, handleUploadError } = require('../middleware/upload');
+
+// Optionally require verified email and phone before listing or requesting
+const requireVerifiedFarmer = requireVerified(process.env.REQUIRE_VERIFIED_FARMERS === 'true');
+const requireVerifiedBuyer = requireVerified(process.env.REQUIRE_VERIFIED_BUYERS === 'true');
 
 // Get listings (public, but can be filtered by auth)
-router.get('/listings', optionalAuth, contractController.getListings);
+router.get('/listings', optionalAuth, validateListingSearch, contractController.getListings);
+router.get('/listings/:id', optionalAuth, listingController.getListingById);
 
 // Protected routes
 router.use(authenticate);
 
 router.get('/', contractController.getContracts);
 router.get('/:id', contractController.getContractById);
-router.post('/listing', validateContractListing, uploadMultiple, handleUploadError, contractController.createListing);
-router.post('/:id/request', contractController.requestContract);
+router.get('/:id/history', contractController.getContractHistory);
+router.get('/:id/versions', amendmentController.getVersions);
+router.post('/listing', requireVerifiedFarmer, validateContractListing, uploadMultiple, handleUploadError, contractController.createListing);
+router.put('/listings/:id', validateContractListing, listingController.updateListing);
+router.patch('/listings/:id', validateListingUpdate, listingController.updateListing);
+router.put('/listings/:id/withdraw', listingController.withdrawListing);
+router.post('/listings/:id/images', uploadMultiple, handleUploadError, listingController.addListingImages);
+router.put('/listings/:id/images', validateListingImages, listingController.updateListingImages);
+router.post('/:id/request', requireVerifiedBuyer, validateContractRequest, contractController.requestContract);
+router.get('/:id/offers', contractController.getOffers);
+router.post('/:id/offers', validateCounterOffer, contractController.createOffer);
+router.put('/:id/offers/:offerId/accept', contractController.acceptOffer);
+router.put('/:id/offers/:offerId/reject', contractController.rejectOffer);
 router.put('/:id/accept', contractController.acceptContract);
-router.put('/:id/reject', contractController.rejectContract);
-router.put('/:id/complete', contractController.completeContract);
-router.put('/:id/cancel', contractController.cancelContract);
+router.put('/:id/reject', validateContractReason, contractController.rejectContract);
+router.put('/:id/start', contractController.startContract);
+router.put('/:id/dispatch', uploadDeliveryProof, handleUploadError, contractController.dispatchContract);
+router.put('/:id/deliver', uploadDeliveryProof, handleUploadError, contractController.deliverContract);
+router.put('/:id/receive', uploadDeliveryProof, handleUploadError, validateReceipt, contractController.receiveContract);
+// Former name of /receive; only the buyer can complete a contract
+router.put('/:id/complete', uploadDeliveryProof, handleUploadError, validateReceipt, contractController.receiveContract);
+router.put('/:id/cancel', validateContractReason, contractController.cancelContract);
+router.get('/:id/amendments', amendmentController.getAmendments);
+router.post('/:id/amendments', validateAmendment, amendmentController.proposeAmendment);
+router.put('/:id/amendments/:amendmentId/accept', amendmentController.acceptAmendment);
+router.put('/:id/amendments/:amendmentId/reject', amendmentController.rejectAmendment);
+router.put('/:id/amendments/:amendmentId/withdraw', amendmentController.withdrawAmendment);
+router.get('/:id/tranches', deliveryScheduleController.getSchedule);
+router.put('/:id/tranches', validateDeliverySchedule, deliveryScheduleController.setSchedule);
+router.put('/:id/tranches/:trancheId/dispatch', uploadDeliveryProof, handleUploadError, deliveryScheduleController.dispatchTranche);
+router.put('/:id/tranches/:trancheId/receive', uploadDeliveryProof, handleUploadError, validateReceipt, deliveryScheduleController.receiveTranche);
+router.get('/:id/delivery-proofs', contractController.getDeliveryProofs);
+router.post('/:id/delivery-proofs', uploadDeliveryProof, handleUploadError, contractController.addDeliveryProof);
+router.get('/:id/disputes', disputeController.getDisputes);
+router.post('/:id/disputes', uploadEvidence, handleUploadError, validateDispute, disputeController.raiseDispute);
+router.get('/:id/disputes/:disputeId', disputeController.getDisputeById);
+router.post('/:id/disputes/:disputeId/messages', uploadEvidence, handleUploadError, validateDisputeMessage, disputeController.addDisputeMessage);
 
 module.exports = router;
 
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const cropController = require('../controllers/cropController');
+
+// Public: the catalog is needed before sign-in, e.g. to browse listings
+router.get('/', cropController.getCrops);
+
+module.exports = router;
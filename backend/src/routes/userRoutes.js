@@ -1,17 +1,31 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
-const { authenticate } = require('../middleware/auth');
+const { authenticate, requireSecondFactor } = require('../middleware/auth');
 const { uploadSingle, handleUploadError } = require('../middleware/upload');
+const { validateChangePassword } = require('../middleware/validator');
 
 // All routes require authentication
 router.use(authenticate);
 
 router.get('/profile', userController.getProfile);
 router.put('/profile', userController.updateProfile);
+router.post('/verify/:channel/send', userController.sendVerificationCode);
+router.post('/verify/:channel/confirm', userController.confirmVerificationCode);
 router.put('/profile-picture', uploadSingle, handleUploadError, userController.uploadProfilePicture);
 router.put('/location', userController.updateLocation);
-router.put('/bank-details', userController.updateBankDetails);
+router.put('/bank-details', requireSecondFactor, userController.updateBankDetails);
+router.put('/password', requireSecondFactor, validateChangePassword, userController.changePassword);
+router.get('/login-history', userController.getLoginHistory);
+router.get('/sessions', userController.getSessions);
+router.delete('/sessions', userController.revokeAllSessions);
+router.delete('/sessions/:id', userController.revokeSession);
+router.get('/2fa', userController.getTwoFactorStatus);
+router.post('/2fa/setup', userController.setupTwoFactor);
+router.post('/2fa/enable', userController.enableTwoFactor);
+router.post('/2fa/verify', userController.verifyTwoFactor);
+router.post('/2fa/recovery-codes', userController.regenerateRecoveryCodes);
+router.post('/2fa/disable', userController.disableTwoFactor);
 router.delete('/account', userController.deleteAccount);
 
 module.exports = router;
@@ -0,0 +1,353 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const contractService = require('./contractService');
+const contractStateMachine = require('./contractStateMachine');
+const offerService = require('./offerService');
+const deliveryScheduleService = require('./deliveryScheduleService');
+const listingService = require('./listingService');
+const { ApiError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
+
+// Statuses in which each field can still be amended. The delivery date can
+// be revised while goods are on the way; everything else only before dispatch.
+const AMENDABLE_STATUSES = {
+  quantity: ['accepted', 'in_progress'],
+  agreedPrice: ['accepted', 'in_progress'],
+  terms: ['accepted', 'in_progress'],
+  deliveryDate: ['accepted', 'in_progress', 'dispatched'],
+};
+
+// Fields compared between versions
+const VERSION_FIELDS = ['quantity', 'agreedPrice', 'totalAmount', 'deliveryDate', 'terms'];
+
+const amendmentInclude = {
+  proposedBy: {
+    select: {
+      id: true,
+      fullName: true,
+      role: true,
+    },
+  },
+  version: {
+    select: { version: true },
+  },
+};
+
+/**
+ * Comparable string form of a contract field value
+ */
+const formatValue = (field, value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (field === 'deliveryDate') {
+    return new Date(value).toISOString().slice(0, 10);
+  }
+  if (field === 'terms') {
+    return value;
+  }
+  return new Prisma.Decimal(value).toString();
+};
+
+/**
+ * Save the contract's current agreed terms as its next version. Called on
+ * acceptance (version 1) and for every accepted amendment; pass the contract
+ * as it is after the change. Returns the new version number.
+ */
+const createVersion = async (tx, contract, amendmentId) => {
+  const version = contract.version + 1;
+
+  await tx.contractVersion.create({
+    data: {
+      contractId: contract.id,
+      version,
+      quantity: contract.quantity,
+      agreedPrice: contract.agreedPrice,
+      totalAmount: contract.totalAmount,
+      deliveryDate: contract.deliveryDate,
+      terms: contract.terms,
+      amendmentId: amendmentId || null,
+    },
+  });
+
+  await tx.contract.update({
+    where: { id: contract.id },
+    data: { version },
+  });
+
+  return version;
+};
+
+// Statuses of contracts that were accepted and so have agreed terms
+const AGREED_STATUSES = [...contractStateMachine.ALLOCATED_STATUSES, 'completed'];
+
+/**
+ * Give a contract accepted before versioning existed its version 1, from its
+ * current terms (it has never been amended). Must be called inside a
+ * transaction holding the contract lock. Returns the contract. Such contracts
+ * are versioned by `npm run versions:backfill`; proposing an amendment still
+ * covers any the backfill has not reached.
+ */
+const addFirstVersion = async (tx, contract) => {
+  if (contract.version > 0 || !AGREED_STATUSES.includes(contract.status)) {
+    return contract;
+  }
+
+  return { ...contract, version: await createVersion(tx, contract) };
+};
+
+/**
+ * Fields whose proposed value differs from the contract's, as stored on the
+ * amendment (strings, dates as YYYY-MM-DD)
+ */
+const getChanges = (contract, proposed) => {
+  const changes = {};
+
+  for (const field of Object.keys(AMENDABLE_STATUSES)) {
+    if (proposed[field] === undefined) {
+      continue;
+    }
+
+    const value = formatValue(field, proposed[field]);
+
+    if (value !== formatValue(field, contract[field])) {
+      changes[field] = value;
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Throw unless every changed field can still be amended in the contract's status
+ */
+const assertAmendable = (contract, changes) => {
+  if (contract.version === 0) {
+    throw new ApiError(409, 'INVALID_STATUS', 'Contract cannot be amended.', 'Only accepted contracts can be amended');
+  }
+
+  const locked = Object.keys(changes).filter(field => !AMENDABLE_STATUSES[field].includes(contract.status));
+
+  if (locked.length > 0) {
+    throw new ApiError(409, 'INVALID_STATUS', 'Contract cannot be amended.',
+      `${locked.join(', ')} can no longer be changed on a ${contract.status} contract`);
+  }
+};
+
+/**
+ * One page of a contract's amendment history, newest first. `page` comes
+ * from getPageParams. Returns { items, pageInfo, total }.
+ */
+const listAmendments = (contractId, page) => {
+  return paginate(prisma.contractAmendment, {
+    where: { contractId },
+    orderBy: { createdAt: 'desc' },
+    include: amendmentInclude,
+  }, page);
+};
+
+/**
+ * Propose changes to an accepted contract. Only one amendment can be pending
+ * at a time. Returns { amendment, contract }.
+ */
+const proposeAmendment = ({ contractId, user, proposed, reason }) => {
+  return prisma.$transaction(async (tx) => {
+    const contract = await addFirstVersion(tx, await contractService.lockContract(tx, contractId));
+    const actorRole = contractStateMachine.getActorRole(contract, user);
+
+    if (!['farmer', 'buyer'].includes(actorRole)) {
+      throw new ApiError(403, 'FORBIDDEN', 'You cannot amend this contract.', 'Only the farmer or buyer can propose amendments');
+    }
+
+    const changes = getChanges(contract, proposed);
+
+    if (Object.keys(changes).length === 0) {
+      throw new ApiError(400, 'NO_CHANGES', 'Nothing to amend.', 'The proposed values match the current contract');
+    }
+
+    assertAmendable(contract, changes);
+
+    const pending = await tx.contractAmendment.findFirst({
+      where: { contractId, status: 'pending' },
+      select: { id: true },
+    });
+
+    if (pending) {
+      throw new ApiError(409, 'AMENDMENT_PENDING', 'An amendment is already awaiting a response.', `Respond to or withdraw amendment ${pending.id} first`);
+    }
+
+    const amendment = await tx.contractAmendment.create({
+      data: {
+        contractId,
+        proposedById: user.id,
+        baseVersion: contract.version,
+        changes,
+        reason: reason || null,
+      },
+      include: amendmentInclude,
+    });
+
+    return { amendment, contract };
+  });
+};
+
+/**
+ * Apply an accepted amendment: adjust the listing allocation (and drop the
+ * delivery schedule) for a quantity change, update the contract and save it
+ * as a new version
+ */
+const applyAmendment = async (tx, contract, amendment, userId) => {
+  const { changes } = amendment;
+  const quantity = changes.quantity !== undefined ? new Prisma.Decimal(changes.quantity) : new Prisma.Decimal(contract.quantity);
+  const agreedPrice = changes.agreedPrice !== undefined ? new Prisma.Decimal(changes.agreedPrice) : new Prisma.Decimal(contract.agreedPrice);
+  const difference = quantity.minus(contract.quantity);
+
+  if (difference.greaterThan(0) && !(await listingService.allocateQuantity(tx, contract.listingId, difference))) {
+    throw new ApiError(409, 'INSUFFICIENT_QUANTITY', 'Not enough quantity left on the listing.', `The listing cannot supply ${difference} more`);
+  }
+
+  if (difference.lessThan(0)) {
+    await listingService.releaseQuantity(tx, contract.listingId, difference.negated());
+  }
+
+  // The schedule no longer adds up to the contract quantity; the farmer sets it again
+  if (!difference.isZero()) {
+    await deliveryScheduleService.clearSchedule(tx, contract.id);
+  }
+
+  const updated = await tx.contract.update({
+    where: { id: contract.id },
+    data: {
+      quantity,
+      agreedPrice,
+      totalAmount: offerService.computeTotal(agreedPrice, quantity),
+      deliveryDate: changes.deliveryDate !== undefined ? new Date(changes.deliveryDate) : contract.deliveryDate,
+      terms: changes.terms !== undefined ? changes.terms : contract.terms,
+    },
+  });
+
+  const version = await createVersion(tx, updated, amendment.id);
+
+  await contractStateMachine.recordEvent(tx, {
+    contractId: contract.id,
+    action: 'amend',
+    actorId: userId,
+    actorRole: contractStateMachine.getActorRole(contract, { id: userId }),
+    fromStatus: contract.status,
+    toStatus: contract.status,
+    notes: `Version ${version}: ${Object.keys(changes).join(', ')} amended`,
+  });
+};
+
+/**
+ * Accept, reject or withdraw (proposer only) a pending amendment.
+ * Returns { amendment, contract }.
+ */
+const respondToAmendment = ({ contractId, amendmentId, user, response }) => {
+  return prisma.$transaction(async (tx) => {
+    const contract = await contractService.lockContract(tx, contractId);
+
+    const amendment = await tx.contractAmendment.findFirst({
+      where: { id: amendmentId, contractId },
+    });
+
+    if (!amendment) {
+      throw new ApiError(404, 'NOT_FOUND', 'Amendment not found.', 'Amendment does not exist on this contract');
+    }
+
+    if (amendment.status !== 'pending') {
+      throw new ApiError(409, 'AMENDMENT_NOT_PENDING', 'Amendment is no longer open.', `Amendment was ${amendment.status}`);
+    }
+
+    const isProposer = amendment.proposedById === user.id;
+
+    if (response === 'withdraw' && !isProposer) {
+      throw new ApiError(403, 'FORBIDDEN', 'You cannot withdraw this amendment.', 'Only the party who proposed it can withdraw it');
+    }
+
+    if (response !== 'withdraw' && isProposer) {
+      throw new ApiError(400, 'OWN_AMENDMENT', 'You cannot respond to your own amendment.', 'Wait for the other party to respond');
+    }
+
+    if (response === 'accept') {
+      if (amendment.baseVersion !== contract.version) {
+        throw new ApiError(409, 'AMENDMENT_STALE', 'Contract changed since this amendment was proposed.', 'Propose the amendment again');
+      }
+
+      assertAmendable(contract, amendment.changes);
+      await applyAmendment(tx, contract, amendment, user.id);
+    }
+
+    const statuses = { accept: 'accepted', reject: 'rejected', withdraw: 'withdrawn' };
+
+    const updated = await tx.contractAmendment.update({
+      where: { id: amendment.id },
+      data: {
+        status: statuses[response],
+        respondedAt: new Date(),
+      },
+      include: amendmentInclude,
+    });
+
+    return { amendment: updated, contract };
+  });
+};
+
+/**
+ * One page of a contract's versions, oldest first. `page` comes from
+ * getPageParams. Returns { items, pageInfo, total }.
+ */
+const listVersions = (contractId, page) => {
+  return paginate(prisma.contractVersion, {
+    where: { contractId },
+    orderBy: { version: 'asc' },
+  }, page);
+};
+
+/**
+ * Differences between two versions: [{ field, from, to }]
+ */
+const diffVersions = (from, to) => {
+  return VERSION_FIELDS
+    .map(field => ({ field, from: formatValue(field, from[field]), to: formatValue(field, to[field]) }))
+    .filter(change => change.from !== change.to);
+};
+
+/**
+ * Version `version` of a contract and, if `compareTo` is given, the diff from
+ * that version to it. Throws 404 if either version does not exist.
+ */
+const getVersionView = async (contractId, version, compareTo) => {
+  if (!Number.isInteger(version) || (compareTo !== undefined && !Number.isInteger(compareTo))) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', 'version and compareTo must be whole numbers');
+  }
+
+  const numbers = compareTo !== undefined ? [version, compareTo] : [version];
+
+  const versions = await prisma.contractVersion.findMany({
+    where: { contractId, version: { in: numbers } },
+  });
+
+  const selected = versions.find(v => v.version === version);
+  const base = versions.find(v => v.version === compareTo);
+
+  if (!selected || (compareTo !== undefined && !base)) {
+    throw new ApiError(404, 'VERSION_NOT_FOUND', 'Contract version not found.', `Version ${!selected ? version : compareTo} does not exist`);
+  }
+
+  return {
+    snapshot: selected,
+    diff: base ? { from: compareTo, to: version, changes: diffVersions(base, selected) } : undefined,
+  };
+};
+
+module.exports = {
+  AGREED_STATUSES,
+  createVersion,
+  addFirstVersion,
+  listAmendments,
+  proposeAmendment,
+  respondToAmendment,
+  listVersions,
+  getVersionView,
+};
@@ -0,0 +1,62 @@
+const prisma = require('../config/database');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Record an administrative action. Pass the transaction client as `db` so the
+ * entry is written atomically with the change it describes.
+ */
+const recordAudit = ({ actorId, action, targetType, targetId, reason, details, ipAddress }, db = prisma) => {
+  return db.auditLog.create({
+    data: {
+      actorId: actorId || null,
+      action,
+      targetType,
+      targetId,
+      reason: reason || null,
+      details: details || undefined,
+      ipAddress: ipAddress || null,
+    },
+  });
+};
+
+/**
+ * One page of audit entries, newest first. `page` comes from getPageParams.
+ * Returns { entries, pageInfo, total }.
+ */
+const listAuditLogs = async ({ actorId, action, targetType, targetId, page }) => {
+  const where = {};
+
+  if (actorId) {
+    where.actorId = actorId;
+  }
+  if (action) {
+    where.action = action;
+  }
+  if (targetType) {
+    where.targetType = targetType;
+  }
+  if (targetId) {
+    where.targetId = targetId;
+  }
+
+  const { items, pageInfo, total } = await paginate(prisma.auditLog, {
+    where,
+    orderBy: { createdAt: 'desc' },
+    include: {
+      actor: {
+        select: {
+          id: true,
+          fullName: true,
+          email: true,
+        },
+      },
+    },
+  }, page);
+
+  return { entries: items, pageInfo, total };
+};
+
+module.exports = {
+  recordAudit,
+  listAuditLogs,
+};
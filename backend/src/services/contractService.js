@@ -0,0 +1,401 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { notifyUser } = require('./notificationService');
+const contractStateMachine = require('./contractStateMachine');
+const listingService = require('./listingService');
+const cropCatalogService = require('./cropCatalogService');
+const { ApiError } = require('../utils/errors');
+
+const DELIVERY_AUTO_CONFIRM_HOURS = parseInt(process.env.DELIVERY_AUTO_CONFIRM_HOURS) || 72;
+const AUTO_CONFIRM_INTERVAL_MINUTES = parseInt(process.env.DELIVERY_AUTO_CONFIRM_INTERVAL_MINUTES) || 15;
+
+/**
+ * Key that is unique while a buyer has an open contract on a listing
+ */
+const getOpenRequestKey = (listingId, buyerId) => {
+  return `${listingId}:${buyerId}`;
+};
+
+/**
+ * Find a contract the user is a party to
+ */
+const findPartyContract = (id, userId) => {
+  return prisma.contract.findFirst({
+    where: {
+      id,
+      OR: [
+        { farmerId: userId },
+        { buyerId: userId },
+      ],
+    },
+  });
+};
+
+/**
+ * Lock a contract until the transaction ends (SELECT ... FOR UPDATE) and
+ * return its current state. Concurrent lifecycle operations on the same
+ * contract queue up behind the lock and then see the committed status.
+ *
+ * The contract's listing is locked first. Every operation takes the locks in
+ * this order, so accepting one contract (which declines its competitors) can
+ * never deadlock with an operation on a competing contract.
+ *
+ * Throws ApiError 409 INVALID_STATUS if the contract is no longer in one of
+ * `statuses`.
+ */
+const lockContract = async (tx, contractId, statuses) => {
+  const [row] = await tx.$queryRaw`SELECT listing_id FROM contracts WHERE id = ${contractId}`;
+
+  if (!row) {
+    throw new ApiError(404, 'NOT_FOUND', 'Contract not found.', 'Contract does not exist');
+  }
+
+  await tx.$queryRaw`SELECT id FROM contract_listings WHERE id = ${row.listing_id} FOR UPDATE`;
+  await tx.$queryRaw`SELECT id FROM contracts WHERE id = ${contractId} FOR UPDATE`;
+
+  const contract = await tx.contract.findUnique({
+    where: { id: contractId },
+  });
+
+  if (!contract) {
+    throw new ApiError(404, 'NOT_FOUND', 'Contract not found.', 'Contract does not exist');
+  }
+
+  if (statuses && !statuses.includes(contract.status)) {
+    throw new ApiError(409, 'INVALID_STATUS', 'Contract was changed by another request.', `Contract status is now ${contract.status}`);
+  }
+
+  return contract;
+};
+
+/**
+ * Lock a listing row until the transaction ends and return its current state
+ */
+const lockListing = async (tx, listingId) => {
+  await tx.$queryRaw`SELECT id FROM contract_listings WHERE id = ${listingId} FOR UPDATE`;
+
+  return tx.contractListing.findUnique({
+    where: { id: listingId },
+  });
+};
+
+/**
+ * Book a completed contract's settled amount in both parties' ledgers: income
+ * for the farmer, expense for the buyer. Each row has an idempotency key, so
+ * booking the same contract twice never creates duplicate entries.
+ *
+ * Must be called inside the completing transaction.
+ */
+const recordSettlement = (tx, contract) => {
+  const transactionDate = new Date();
+
+  return tx.transaction.createMany({
+    data: [
+      {
+        userId: contract.farmerId,
+        type: 'income',
+        category: 'sale',
+        amount: contract.settledAmount,
+        description: `Sale of ${contract.cropType} - Contract ${contract.id}`,
+        referenceId: contract.id,
+        referenceType: 'contract',
+        idempotencyKey: `contract:${contract.id}:income`,
+        transactionDate,
+      },
+      {
+        userId: contract.buyerId,
+        type: 'expense',
+        category: 'purchase',
+        amount: contract.settledAmount,
+        description: `Purchase of ${contract.cropType} - Contract ${contract.id}`,
+        referenceId: contract.id,
+        referenceType: 'contract',
+        idempotencyKey: `contract:${contract.id}:expense`,
+        transactionDate,
+      },
+    ],
+    skipDuplicates: true,
+  });
+};
+
+/**
+ * When a delivery is confirmed automatically if the buyer does not respond
+ */
+const getAutoConfirmAt = () => {
+  return new Date(Date.now() + DELIVERY_AUTO_CONFIRM_HOURS * 60 * 60 * 1000);
+};
+
+/**
+ * Throw if the contract has a delivery schedule; its goods are then dispatched
+ * and received tranche by tranche rather than all at once
+ */
+const assertUnscheduled = async (tx, contractId) => {
+  const tranches = await tx.deliveryTranche.count({ where: { contractId } });
+
+  if (tranches > 0) {
+    throw new ApiError(409, 'DELIVERY_SCHEDULED', 'Contract is delivered in tranches.', 'Dispatch and receive each tranche of the delivery schedule instead');
+  }
+};
+
+/**
+ * Complete a contract on receipt of the goods (`receive` by the buyer, or
+ * `auto_confirm`): record the accepted quantity and quality grade (checked
+ * against the crop catalog), settle the listing and book the settled amount.
+ * If the buyer accepted less than the contracted quantity, only the accepted
+ * quantity is paid for.
+ *
+ * Must be called inside a transaction holding the contract lock.
+ */
+const completeDelivery = async (tx, contract, action, { actorId, actorRole, acceptedQuantity, qualityGrade, notes, include }) => {
+  await assertUnscheduled(tx, contract.id);
+
+  const accepted = acceptedQuantity !== undefined
+    ? new Prisma.Decimal(acceptedQuantity)
+    : new Prisma.Decimal(contract.quantity);
+
+  if (accepted.greaterThan(contract.quantity)) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', `Accepted quantity cannot exceed the contracted ${contract.quantity}`);
+  }
+
+  const grade = await cropCatalogService.resolveGrade(tx, contract.listingId, qualityGrade);
+  const now = new Date();
+
+  const completed = await contractStateMachine.applyTransition(tx, contract, action, {
+    actorId,
+    actorRole,
+    notes,
+    data: {
+      receivedAt: now,
+      completedAt: now,
+      openRequestKey: null,
+      acceptedQuantity: accepted,
+      qualityGrade: grade || null,
+      settledAmount: new Prisma.Decimal(contract.agreedPrice).mul(accepted).toDecimalPlaces(2),
+    },
+    include,
+  });
+
+  // Complete the listing once all of its quantity has been delivered
+  await listingService.completeListingIfSettled(tx, contract.listingId);
+
+  await recordSettlement(tx, completed);
+
+  return completed;
+};
+
+/**
+ * Confirm receipt of deliveries the buyer has not responded to by their
+ * auto-confirm deadline. Returns the number of contracts completed.
+ */
+const autoConfirmDeliveries = async () => {
+  const due = await prisma.contract.findMany({
+    where: {
+      status: 'delivered',
+      autoConfirmAt: { lte: new Date() },
+    },
+    select: { id: true },
+    take: 100,
+  });
+
+  let confirmed = 0;
+
+  for (const { id } of due) {
+    try {
+      const completed = await prisma.$transaction(async (tx) => {
+        // Throws INVALID_STATUS if the buyer confirmed (or an admin cancelled) meanwhile
+        const locked = await lockContract(tx, id, ['delivered']);
+
+        // The deadline is cleared while a dispute is open
+        if (!locked.autoConfirmAt || locked.autoConfirmAt > new Date()) {
+          return false;
+        }
+
+        await completeDelivery(tx, locked, 'auto_confirm', {
+          actorRole: 'system',
+          notes: `Buyer did not confirm receipt within ${DELIVERY_AUTO_CONFIRM_HOURS} hours of delivery`,
+        });
+
+        return true;
+      });
+
+      if (completed) {
+        confirmed += 1;
+      }
+    } catch (error) {
+      if (!(error instanceof ApiError)) {
+        console.error(`Auto-confirm of contract ${id} failed:`, error.message);
+      }
+    }
+  }
+
+  return confirmed;
+};
+
+/**
+ * Run autoConfirmDeliveries every DELIVERY_AUTO_CONFIRM_INTERVAL_MINUTES.
+ * The timer does not keep the process alive on shutdown.
+ */
+const startAutoConfirmJob = () => {
+  const timer = setInterval(() => {
+    autoConfirmDeliveries().catch(error => console.error('Auto-confirm failed:', error.message));
+  }, AUTO_CONFIRM_INTERVAL_MINUTES * 60 * 1000);
+
+  timer.unref();
+
+  return timer;
+};
+
+/**
+ * Tell the buyer their goods were delivered and must be confirmed
+ */
+const notifyDelivered = (contract, buyer) => {
+  return notifyUser(buyer, {
+    subject: 'Please confirm your delivery',
+    text: `Your ${contract.cropType} (contract ${contract.id}) was marked as delivered. `
+      + `Confirm receipt within ${DELIVERY_AUTO_CONFIRM_HOURS} hours; `
+      + 'after that the delivery is confirmed automatically.',
+  });
+};
+
+/**
+ * Notify the party on the other side of the contract from `userId`
+ */
+const notifyCounterparty = async (contract, userId, { subject, text }) => {
+  const counterparty = await prisma.user.findUnique({
+    where: { id: contract.farmerId === userId ? contract.buyerId : contract.farmerId },
+    select: { fullName: true, email: true, phone: true },
+  });
+
+  return notifyUser(counterparty, { subject, text });
+};
+
+/**
+ * Describe uploaded files (delivery proofs, dispute evidence) for storage
+ */
+const toStoredFiles = (files) => {
+  return (files || []).map(file => ({
+    url: `/uploads/${file.filename}`,
+    name: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+  }));
+};
+
+/**
+ * Attach a delivery proof (note and/or uploaded photos and documents) to a
+ * contract
+ */
+const addDeliveryProof = (tx, { contractId, submittedById, note, files }) => {
+  return tx.deliveryProof.create({
+    data: {
+      contractId,
+      submittedById,
+      note: note || null,
+      files: toStoredFiles(files),
+    },
+    include: {
+      submittedBy: {
+        select: {
+          id: true,
+          fullName: true,
+          role: true,
+        },
+      },
+    },
+  });
+};
+
+/**
+ * Decline pending requests on a listing that can no longer be fulfilled after
+ * a contract was accepted: those asking for more than is still available
+ * (all of them once the listing is fully allocated).
+ *
+ * Must be called inside the accepting transaction. Returns the declined
+ * contracts with their buyers, for notification once the transaction commits.
+ */
+const declineCompetingRequests = async (tx, listingId, acceptedContractId) => {
+  const listing = await tx.contractListing.findUnique({
+    where: { id: listingId },
+    select: { availableQuantity: true, cropType: true, unit: true },
+  });
+
+  const pending = await tx.contract.findMany({
+    where: {
+      listingId,
+      id: { not: acceptedContractId },
+      status: 'requested',
+    },
+    include: {
+      buyer: {
+        select: {
+          id: true,
+          fullName: true,
+          email: true,
+          phone: true,
+        },
+      },
+    },
+  });
+
+  const available = new Prisma.Decimal(listing.availableQuantity);
+  const reason = available.lessThanOrEqualTo(0)
+    ? 'Listing was fully allocated to other buyers'
+    : `Only ${available} ${listing.unit} is still available`;
+
+  const declined = [];
+
+  for (const contract of pending) {
+    if (available.greaterThan(0) && new Prisma.Decimal(contract.quantity).lessThanOrEqualTo(available)) {
+      continue;
+    }
+
+    // Competing requests are safe to change here: every operation on them
+    // locks this listing first, and the caller holds that lock
+    await contractStateMachine.applyTransition(tx, contract, 'decline', {
+      actorRole: 'system',
+      payload: { reasonCode: 'listing_allocated' },
+      reasonCode: 'listing_allocated',
+      notes: reason,
+      data: { openRequestKey: null },
+    });
+
+    await tx.contractOffer.updateMany({
+      where: { contractId: contract.id, status: 'pending' },
+      data: { status: 'rejected', respondedAt: new Date() },
+    });
+
+    declined.push({ ...contract, reason, cropType: listing.cropType });
+  }
+
+  return declined;
+};
+
+/**
+ * Tell buyers their requests were declined
+ */
+const notifyDeclinedBuyers = (declined) => {
+  return Promise.all(declined.map(contract => notifyUser(contract.buyer, {
+    subject: 'Your contract request was declined',
+    text: `Your request for ${contract.quantity} of ${contract.cropType} (contract ${contract.id}) `
+      + `was declined: ${contract.reason}.`,
+  })));
+};
+
+module.exports = {
+  getOpenRequestKey,
+  findPartyContract,
+  lockContract,
+  lockListing,
+  recordSettlement,
+  getAutoConfirmAt,
+  assertUnscheduled,
+  completeDelivery,
+  autoConfirmDeliveries,
+  startAutoConfirmJob,
+  notifyDelivered,
+  notifyCounterparty,
+  toStoredFiles,
+  addDeliveryProof,
+  declineCompetingRequests,
+  notifyDeclinedBuyers,
+};
@@ -0,0 +1,179 @@
+const prisma = require('../config/database');
+const { ApiError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Contract lifecycle. Each action lists the statuses it may be taken from,
+ * the status it leads to, who may trigger it and the body fields it requires.
+ *
+ *   requested -> accepted -> [in_progress] -> dispatched -> [delivered] -> completed
+ *   (any open status) -> cancelled
+ *
+ * Only the buyer's receipt (or the auto-confirm timeout once goods are
+ * delivered) completes a contract. Parties can cancel until goods are
+ * dispatched; after that only an admin can.
+ *
+ * Actors are the contract's `farmer` or `buyer`, an `admin`, or the `system`
+ * (e.g. declining competing requests when another one is accepted).
+ */
+const TRANSITIONS = {
+  request: { from: [null], to: 'requested', actors: ['buyer'], requires: [] },
+  accept: { from: ['requested'], to: 'accepted', actors: ['farmer'], requires: [] },
+  reject: { from: ['requested', 'accepted'], to: 'cancelled', actors: ['farmer', 'buyer'], requires: [] },
+  start: { from: ['accepted'], to: 'in_progress', actors: ['farmer'], requires: [] },
+  dispatch: { from: ['accepted', 'in_progress'], to: 'dispatched', actors: ['farmer'], requires: [] },
+  deliver: { from: ['dispatched'], to: 'delivered', actors: ['farmer'], requires: [] },
+  receive: { from: ['dispatched', 'delivered'], to: 'completed', actors: ['buyer'], requires: [] },
+  auto_confirm: { from: ['delivered'], to: 'completed', actors: ['system'], requires: [] },
+  cancel: { from: ['requested', 'accepted', 'in_progress'], to: 'cancelled', actors: ['farmer', 'buyer'], requires: ['reasonCode'] },
+  decline: { from: ['requested'], to: 'cancelled', actors: ['system'], requires: ['reasonCode'] },
+  admin_cancel: { from: ['requested', 'accepted', 'in_progress', 'dispatched', 'delivered'], to: 'cancelled', actors: ['admin'], requires: ['reason'] },
+};
+
+// Every status, in lifecycle order
+const CONTRACT_STATUSES = ['requested', 'accepted', 'in_progress', 'dispatched', 'delivered', 'completed', 'cancelled'];
+
+// Statuses in which a contract is still open
+const OPEN_STATUSES = ['requested', 'accepted', 'in_progress', 'dispatched', 'delivered'];
+
+// Statuses in which a contract holds quantity allocated from its listing
+const ALLOCATED_STATUSES = ['accepted', 'in_progress', 'dispatched', 'delivered'];
+
+/**
+ * Role `user` plays on `contract`: farmer, buyer, admin, or null if none
+ */
+const getActorRole = (contract, user) => {
+  if (contract.farmerId === user.id) {
+    return 'farmer';
+  }
+  if (contract.buyerId === user.id) {
+    return 'buyer';
+  }
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+  return null;
+};
+
+/**
+ * Throw an ApiError unless `actorRole` may take `action` on the contract in
+ * its current status with the given payload
+ */
+const assertTransition = (contract, action, actorRole, payload = {}) => {
+  const transition = TRANSITIONS[action];
+
+  if (!transition.from.includes(contract.status)) {
+    throw new ApiError(409, 'INVALID_TRANSITION', 'Action not allowed in the current contract status.',
+      `Action "${action}" is not allowed on a ${contract.status} contract`);
+  }
+
+  if (!transition.actors.includes(actorRole)) {
+    throw new ApiError(403, 'FORBIDDEN', 'You cannot perform this action.',
+      `Action "${action}" can only be taken by: ${transition.actors.join(', ')}`);
+  }
+
+  const missing = transition.requires.filter(field => !payload[field]);
+
+  if (missing.length > 0) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', `Required: ${missing.join(', ')}`);
+  }
+
+  return transition;
+};
+
+/**
+ * Write a history entry for a transition
+ */
+const recordEvent = (tx, { contractId, action, actorId, actorRole, fromStatus, toStatus, reasonCode, notes }) => {
+  return tx.contractEvent.create({
+    data: {
+      contractId,
+      action,
+      actorId: actorId || null,
+      actorRole,
+      fromStatus: fromStatus || null,
+      toStatus,
+      reasonCode: reasonCode || null,
+      notes: notes || null,
+    },
+  });
+};
+
+/**
+ * Validate and apply a transition to a contract locked by the caller: update
+ * its status (plus any extra `data`) and record the event. Returns the
+ * updated contract.
+ *
+ * The agreed `terms` are immutable once a contract has been accepted.
+ */
+const applyTransition = async (tx, contract, action, { actorId, actorRole, payload, reasonCode, notes, data, include }) => {
+  const transition = assertTransition(contract, action, actorRole, payload);
+
+  if (data && data.terms !== undefined && contract.status !== 'requested') {
+    throw new ApiError(409, 'TERMS_LOCKED', 'Contract terms cannot be changed.', 'Terms are fixed once a contract is accepted');
+  }
+
+  const updated = await tx.contract.update({
+    where: { id: contract.id },
+    data: {
+      ...data,
+      status: transition.to,
+    },
+    include,
+  });
+
+  await recordEvent(tx, {
+    contractId: contract.id,
+    action,
+    actorId,
+    actorRole,
+    fromStatus: contract.status,
+    toStatus: transition.to,
+    reasonCode,
+    notes,
+  });
+
+  return updated;
+};
+
+/**
+ * Actions `actorRole` can take on the contract right now
+ */
+const getAvailableActions = (contract, actorRole) => {
+  return Object.keys(TRANSITIONS).filter(action => (
+    TRANSITIONS[action].from.includes(contract.status) && TRANSITIONS[action].actors.includes(actorRole)
+  ));
+};
+
+/**
+ * One page of a contract's transition history, oldest first. `page` comes
+ * from getPageParams. Returns { items, pageInfo, total }.
+ */
+const getHistory = (contractId, page) => {
+  return paginate(prisma.contractEvent, {
+    where: { contractId },
+    orderBy: { createdAt: 'asc' },
+    include: {
+      actor: {
+        select: {
+          id: true,
+          fullName: true,
+          role: true,
+        },
+      },
+    },
+  }, page);
+};
+
+module.exports = {
+  TRANSITIONS,
+  CONTRACT_STATUSES,
+  OPEN_STATUSES,
+  ALLOCATED_STATUSES,
+  getActorRole,
+  assertTransition,
+  recordEvent,
+  applyTransition,
+  getAvailableActions,
+  getHistory,
+};
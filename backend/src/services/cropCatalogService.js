@@ -0,0 +1,335 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Form in which names are matched and aliases stored: trimmed, single-spaced
+ * and lowercase, so "Wheat ", "wheat" and "WHEAT" are the same crop
+ */
+const normalizeName = (text) => {
+  return String(text).trim().replace(/\s+/g, ' ').toLowerCase();
+};
+
+/**
+ * Distinct normalised aliases, without empty entries or the name itself
+ */
+const normalizeAliases = (aliases, name) => {
+  const own = name ? normalizeName(name) : null;
+
+  return [...new Set((aliases || []).map(normalizeName))].filter(alias => alias && alias !== own);
+};
+
+/**
+ * Active catalog crop whose name or alias is `text`, with its varieties, or null
+ */
+const findCrop = (db, text) => {
+  return db.crop.findFirst({
+    where: {
+      isActive: true,
+      OR: [
+        { name: { equals: String(text).trim(), mode: 'insensitive' } },
+        { aliases: { has: normalizeName(text) } },
+      ],
+    },
+    include: { varieties: true },
+  });
+};
+
+/**
+ * Unit whose code or alias is `text` (e.g. "Qtl" finds quintal), or null
+ */
+const findUnit = (db, text) => {
+  const name = normalizeName(text);
+
+  return db.measurementUnit.findFirst({
+    where: {
+      OR: [
+        { code: name },
+        { aliases: { has: name } },
+      ],
+    },
+  });
+};
+
+/**
+ * Active crops for the app's pickers, by name, with their varieties, allowed
+ * units (code, name and kilograms per unit) and quality grades. `q` keeps the
+ * crops whose name, an alias or a variety contains it.
+ */
+const listCrops = async ({ q } = {}) => {
+  const [crops, units] = await Promise.all([
+    prisma.crop.findMany({
+      where: { isActive: true },
+      orderBy: { name: 'asc' },
+      include: { varieties: { orderBy: { name: 'asc' } } },
+    }),
+    prisma.measurementUnit.findMany({
+      select: { code: true, name: true, kgFactor: true },
+    }),
+  ]);
+
+  const unitsByCode = new Map(units.map(unit => [unit.code, unit]));
+  const search = q ? normalizeName(q) : null;
+
+  return crops
+    .filter(crop => !search || [crop.name, ...crop.aliases, ...crop.varieties.map(variety => variety.name)]
+      .some(name => normalizeName(name).includes(search)))
+    .map(crop => ({
+      ...crop,
+      units: crop.units.map(code => unitsByCode.get(code)).filter(Boolean),
+    }));
+};
+
+/**
+ * Map the crop, variety and unit of a listing onto the catalog. Each may be
+ * given as its name or any alias. Returns the canonical values to store:
+ * { cropId, cropType, varietyId, unit }. Throws 400 if the crop or variety is
+ * not in the catalog, or the unit is not one the crop is traded in.
+ */
+const resolveListingCrop = async (db, { cropType, variety, unit }) => {
+  const crop = await findCrop(db, cropType);
+
+  if (!crop) {
+    throw new ApiError(400, 'UNKNOWN_CROP', 'Crop is not in the catalog.', `"${cropType}" is not a known crop; see GET /api/crops`);
+  }
+
+  let varietyId = null;
+
+  if (variety) {
+    const name = normalizeName(variety);
+    const match = crop.varieties.find(entry => normalizeName(entry.name) === name || entry.aliases.includes(name));
+
+    if (!match) {
+      throw new ApiError(400, 'UNKNOWN_VARIETY', 'Variety is not in the catalog.', `"${variety}" is not a known variety of ${crop.name}`);
+    }
+
+    varietyId = match.id;
+  }
+
+  const measurementUnit = await findUnit(db, unit);
+
+  if (!measurementUnit || (crop.units.length > 0 && !crop.units.includes(measurementUnit.code))) {
+    const allowed = crop.units.length > 0 ? crop.units.join(', ') : 'a catalog unit';
+
+    throw new ApiError(400, 'UNIT_NOT_ALLOWED', 'Unit is not allowed for this crop.', `${crop.name} is listed in ${allowed}`);
+  }
+
+  return {
+    cropId: crop.id,
+    cropType: crop.name,
+    varietyId,
+    unit: measurementUnit.code,
+  };
+};
+
+/**
+ * Catalog spelling of a quality grade recorded on a listing's goods. Crops
+ * without grades in the catalog, and listings not yet mapped to a crop,
+ * accept any grade. Throws 400 for a grade the crop does not use.
+ */
+const resolveGrade = async (db, listingId, grade) => {
+  if (!grade) {
+    return grade;
+  }
+
+  const listing = await db.contractListing.findUnique({
+    where: { id: listingId },
+    select: { crop: { select: { name: true, grades: true } } },
+  });
+
+  if (!listing || !listing.crop || listing.crop.grades.length === 0) {
+    return grade;
+  }
+
+  const match = listing.crop.grades.find(entry => normalizeName(entry) === normalizeName(grade));
+
+  if (!match) {
+    throw new ApiError(400, 'UNKNOWN_GRADE', 'Quality grade is not in the catalog.',
+      `${listing.crop.name} is graded ${listing.crop.grades.join(', ')}`);
+  }
+
+  return match;
+};
+
+/**
+ * Throw 409 if any of `names` is already the name or an alias of another crop,
+ * which would make matching ambiguous
+ */
+const assertCropNamesFree = async (tx, names, excludeId) => {
+  const taken = await tx.crop.findFirst({
+    where: {
+      id: excludeId ? { not: excludeId } : undefined,
+      OR: [
+        { aliases: { hasSome: names } },
+        ...names.map(name => ({ name: { equals: name, mode: 'insensitive' } })),
+      ],
+    },
+  });
+
+  if (taken) {
+    throw new ApiError(409, 'NAME_IN_USE', 'Name is already in the catalog.', `A name or alias is already used by ${taken.name}`);
+  }
+};
+
+/**
+ * Throw 400 unless every unit code is in the catalog
+ */
+const assertUnitsExist = async (tx, codes) => {
+  const found = await tx.measurementUnit.findMany({
+    where: { code: { in: codes } },
+    select: { code: true },
+  });
+  const missing = codes.filter(code => !found.some(unit => unit.code === code));
+
+  if (missing.length > 0) {
+    throw new ApiError(400, 'UNKNOWN_UNIT', 'Unit is not in the catalog.', `Unknown units: ${missing.join(', ')}`);
+  }
+};
+
+/**
+ * Add a crop to the catalog (admin). Must be called inside a transaction.
+ */
+const createCrop = async (tx, { name, aliases, units, grades }) => {
+  const cleanName = name.trim();
+  const cleanAliases = normalizeAliases(aliases, cleanName);
+  const unitCodes = [...new Set((units || []).map(normalizeName))];
+
+  await assertCropNamesFree(tx, [normalizeName(cleanName), ...cleanAliases]);
+  await assertUnitsExist(tx, unitCodes);
+
+  return tx.crop.create({
+    data: {
+      name: cleanName,
+      aliases: cleanAliases,
+      units: unitCodes,
+      grades: [...new Set((grades || []).map(grade => grade.trim()))],
+    },
+    include: { varieties: true },
+  });
+};
+
+/**
+ * Change a crop's name, aliases, units, grades or isActive (admin). A new name
+ * is also applied to the crop's listings. Must be called inside a transaction.
+ * Returns { crop, previous }.
+ */
+const updateCrop = async (tx, cropId, { name, aliases, units, grades, isActive }) => {
+  const previous = await tx.crop.findUnique({ where: { id: cropId } });
+
+  if (!previous) {
+    throw new ApiError(404, 'NOT_FOUND', 'Crop not found.', 'Crop does not exist');
+  }
+
+  const data = {};
+  const cleanName = name !== undefined ? name.trim() : previous.name;
+
+  if (name !== undefined) {
+    data.name = cleanName;
+  }
+  if (name !== undefined || aliases !== undefined) {
+    data.aliases = normalizeAliases(aliases !== undefined ? aliases : previous.aliases, cleanName);
+    await assertCropNamesFree(tx, [normalizeName(cleanName), ...data.aliases], cropId);
+  }
+  if (units !== undefined) {
+    data.units = [...new Set(units.map(normalizeName))];
+    await assertUnitsExist(tx, data.units);
+  }
+  if (grades !== undefined) {
+    data.grades = [...new Set(grades.map(grade => grade.trim()))];
+  }
+  if (isActive !== undefined) {
+    data.isActive = isActive;
+  }
+
+  const crop = await tx.crop.update({
+    where: { id: cropId },
+    data,
+    include: { varieties: true },
+  });
+
+  if (data.name && data.name !== previous.name) {
+    await tx.contractListing.updateMany({
+      where: { cropId },
+      data: { cropType: data.name },
+    });
+  }
+
+  return { crop, previous };
+};
+
+/**
+ * Add a variety to a crop (admin). Must be called inside a transaction.
+ */
+const addVariety = async (tx, cropId, { name, aliases }) => {
+  const crop = await tx.crop.findUnique({
+    where: { id: cropId },
+    include: { varieties: true },
+  });
+
+  if (!crop) {
+    throw new ApiError(404, 'NOT_FOUND', 'Crop not found.', 'Crop does not exist');
+  }
+
+  const cleanName = name.trim();
+  const cleanAliases = normalizeAliases(aliases, cleanName);
+  const names = [normalizeName(cleanName), ...cleanAliases];
+  const taken = crop.varieties.find(variety => (
+    names.includes(normalizeName(variety.name)) || variety.aliases.some(alias => names.includes(alias))
+  ));
+
+  if (taken) {
+    throw new ApiError(409, 'NAME_IN_USE', 'Name is already in the catalog.', `A name or alias is already used by ${crop.name} ${taken.name}`);
+  }
+
+  return tx.cropVariety.create({
+    data: {
+      cropId,
+      name: cleanName,
+      aliases: cleanAliases,
+    },
+  });
+};
+
+/**
+ * Add a unit of measurement (admin). Codes are stored lowercase. Must be
+ * called inside a transaction.
+ */
+const createUnit = async (tx, { code, name, aliases, kgFactor }) => {
+  const cleanCode = normalizeName(code);
+  const cleanAliases = normalizeAliases(aliases, cleanCode);
+  const names = [cleanCode, ...cleanAliases];
+
+  const taken = await tx.measurementUnit.findFirst({
+    where: {
+      OR: [
+        { code: { in: names } },
+        { aliases: { hasSome: names } },
+      ],
+    },
+  });
+
+  if (taken) {
+    throw new ApiError(409, 'NAME_IN_USE', 'Name is already in the catalog.', `A code or alias is already used by ${taken.code}`);
+  }
+
+  return tx.measurementUnit.create({
+    data: {
+      code: cleanCode,
+      name: name.trim(),
+      aliases: cleanAliases,
+      kgFactor: kgFactor !== undefined && kgFactor !== null ? new Prisma.Decimal(kgFactor) : null,
+    },
+  });
+};
+
+module.exports = {
+  normalizeName,
+  listCrops,
+  findCrop,
+  resolveListingCrop,
+  resolveGrade,
+  createCrop,
+  updateCrop,
+  addVariety,
+  createUnit,
+};
@@ -0,0 +1,331 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const contractService = require('./contractService');
+const contractStateMachine = require('./contractStateMachine');
+const listingService = require('./listingService');
+const cropCatalogService = require('./cropCatalogService');
+const { ApiError } = require('../utils/errors');
+const { paginate } = require('../utils/pagination');
+
+/**
+ * Delivery schedule of a contract, in delivery order
+ */
+const getTranches = (db, contractId) => {
+  return db.deliveryTranche.findMany({
+    where: { contractId },
+    orderBy: { sequence: 'asc' },
+  });
+};
+
+/**
+ * One page of a contract's delivery schedule, in delivery order. `page` comes
+ * from getPageParams. Returns { items, pageInfo, total }.
+ */
+const listTranches = (contractId, page) => {
+  return paginate(prisma.deliveryTranche, {
+    where: { contractId },
+    orderBy: { sequence: 'asc' },
+  }, page);
+};
+
+/**
+ * Throw unless `user` plays `role` on the contract
+ */
+const assertRole = (contract, user, role, action) => {
+  if (contractStateMachine.getActorRole(contract, user) !== role) {
+    throw new ApiError(403, 'FORBIDDEN', 'You cannot perform this action.', `Only the ${role} can ${action}`);
+  }
+};
+
+/**
+ * A tranche of the contract. Callers hold the contract lock, which also
+ * serialises changes to its tranches.
+ */
+const findTranche = async (tx, contractId, trancheId) => {
+  const tranche = await tx.deliveryTranche.findFirst({
+    where: { id: trancheId, contractId },
+  });
+
+  if (!tranche) {
+    throw new ApiError(404, 'NOT_FOUND', 'Tranche not found.', 'Tranche does not exist on this contract');
+  }
+
+  return tranche;
+};
+
+/**
+ * Throw 409 once any tranche of the contract has been received. Its goods are
+ * delivered and booked, so cancelling would put them back on sale and leave
+ * the payments against a cancelled contract.
+ */
+const assertNothingReceived = async (tx, contractId) => {
+  const received = await tx.deliveryTranche.count({
+    where: { contractId, status: 'received' },
+  });
+
+  if (received > 0) {
+    throw new ApiError(409, 'TRANCHES_RECEIVED', 'Contract is partly delivered.', `${received} tranche(s) have already been received and settled`);
+  }
+};
+
+/**
+ * Replace the delivery schedule of an accepted or in-progress contract
+ * (farmer). `tranches` is [{ scheduledDate, quantity, location }]; their
+ * quantities must add up to the contract quantity. Tranches are numbered in
+ * date order. Returns { tranches, contract }.
+ */
+const setSchedule = ({ contractId, user, tranches }) => {
+  return prisma.$transaction(async (tx) => {
+    // Once a tranche is dispatched the contract is dispatched and the schedule is fixed
+    const contract = await contractService.lockContract(tx, contractId, ['accepted', 'in_progress']);
+
+    assertRole(contract, user, 'farmer', 'set the delivery schedule');
+
+    const total = tranches.reduce((sum, tranche) => sum.plus(tranche.quantity), new Prisma.Decimal(0));
+
+    if (!total.equals(contract.quantity)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.',
+        `Tranche quantities add up to ${total}, but the contract is for ${contract.quantity}`);
+    }
+
+    const ordered = [...tranches].sort((a, b) => new Date(a.scheduledDate) - new Date(b.scheduledDate));
+
+    await tx.deliveryTranche.deleteMany({ where: { contractId } });
+    await tx.deliveryTranche.createMany({
+      data: ordered.map((tranche, index) => ({
+        contractId,
+        sequence: index + 1,
+        scheduledDate: new Date(tranche.scheduledDate),
+        quantity: new Prisma.Decimal(tranche.quantity),
+        location: tranche.location || null,
+      })),
+    });
+
+    await contractStateMachine.recordEvent(tx, {
+      contractId,
+      action: 'schedule',
+      actorId: user.id,
+      actorRole: 'farmer',
+      fromStatus: contract.status,
+      toStatus: contract.status,
+      notes: `Delivery scheduled in ${ordered.length} tranche${ordered.length === 1 ? '' : 's'}`,
+    });
+
+    return { tranches: await getTranches(tx, contractId), contract };
+  });
+};
+
+/**
+ * Remove the delivery schedule, e.g. when the contract quantity is amended.
+ * Throws if a tranche has already been dispatched.
+ */
+const clearSchedule = async (tx, contractId) => {
+  const started = await tx.deliveryTranche.count({
+    where: { contractId, status: { not: 'scheduled' } },
+  });
+
+  if (started > 0) {
+    throw new ApiError(409, 'SCHEDULE_STARTED', 'Delivery has already started.', 'The delivery schedule can no longer change');
+  }
+
+  const { count } = await tx.deliveryTranche.deleteMany({ where: { contractId } });
+
+  return count;
+};
+
+/**
+ * Mark a tranche dispatched (farmer). Dispatching the first tranche moves
+ * the contract to `dispatched`. Returns { tranche, contract }.
+ */
+const dispatchTranche = ({ contractId, trancheId, user, note, files }) => {
+  return prisma.$transaction(async (tx) => {
+    const contract = await contractService.lockContract(tx, contractId, ['accepted', 'in_progress', 'dispatched']);
+
+    assertRole(contract, user, 'farmer', 'dispatch goods');
+
+    const tranche = await findTranche(tx, contractId, trancheId);
+
+    if (tranche.status !== 'scheduled') {
+      throw new ApiError(409, 'INVALID_STATUS', 'Tranche was already dispatched.', `Tranche ${tranche.sequence} is ${tranche.status}`);
+    }
+
+    const now = new Date();
+    const notes = note || `Tranche ${tranche.sequence} dispatched`;
+
+    const updated = await tx.deliveryTranche.update({
+      where: { id: tranche.id },
+      data: { status: 'dispatched', dispatchedAt: now },
+    });
+
+    if (contract.status !== 'dispatched') {
+      await contractStateMachine.applyTransition(tx, contract, 'dispatch', {
+        actorId: user.id,
+        actorRole: 'farmer',
+        notes,
+        data: { dispatchedAt: now },
+      });
+    } else {
+      await contractStateMachine.recordEvent(tx, {
+        contractId,
+        action: 'dispatch_tranche',
+        actorId: user.id,
+        actorRole: 'farmer',
+        fromStatus: contract.status,
+        toStatus: contract.status,
+        notes,
+      });
+    }
+
+    if (note || (files && files.length > 0)) {
+      await contractService.addDeliveryProof(tx, { contractId, submittedById: user.id, note, files });
+    }
+
+    return { tranche: updated, contract };
+  });
+};
+
+/**
+ * Book a received tranche's settled amount in both parties' ledgers, keyed
+ * per tranche like recordSettlement is per contract
+ */
+const recordTrancheSettlement = (tx, contract, tranche) => {
+  const transactionDate = new Date();
+  const label = `tranche ${tranche.sequence} - Contract ${contract.id}`;
+
+  return tx.transaction.createMany({
+    data: [
+      {
+        userId: contract.farmerId,
+        type: 'income',
+        category: 'sale',
+        amount: tranche.settledAmount,
+        description: `Sale of ${contract.cropType}, ${label}`,
+        referenceId: tranche.id,
+        referenceType: 'delivery_tranche',
+        idempotencyKey: `tranche:${tranche.id}:income`,
+        transactionDate,
+      },
+      {
+        userId: contract.buyerId,
+        type: 'expense',
+        category: 'purchase',
+        amount: tranche.settledAmount,
+        description: `Purchase of ${contract.cropType}, ${label}`,
+        referenceId: tranche.id,
+        referenceType: 'delivery_tranche',
+        idempotencyKey: `tranche:${tranche.id}:expense`,
+        transactionDate,
+      },
+    ],
+    skipDuplicates: true,
+  });
+};
+
+/**
+ * Confirm receipt of a tranche (buyer), optionally with the accepted quantity
+ * and quality grade. Only the accepted quantity is paid for, and the tranche
+ * is booked on its own. Receiving the last tranche completes the contract.
+ * Retrying a receipt returns the tranche unchanged.
+ *
+ * Returns { tranche, contract, completed, alreadyReceived }.
+ */
+const receiveTranche = ({ contractId, trancheId, user, acceptedQuantity, qualityGrade, note, files }) => {
+  return prisma.$transaction(async (tx) => {
+    const contract = await contractService.lockContract(tx, contractId);
+
+    assertRole(contract, user, 'buyer', 'confirm receipt');
+
+    const tranche = await findTranche(tx, contractId, trancheId);
+
+    if (tranche.status === 'received') {
+      return { tranche, contract, completed: contract.status === 'completed', alreadyReceived: true };
+    }
+
+    if (contract.status !== 'dispatched' || tranche.status !== 'dispatched') {
+      throw new ApiError(409, 'INVALID_STATUS', 'Tranche has not been dispatched.', `Tranche ${tranche.sequence} is ${tranche.status}`);
+    }
+
+    const accepted = acceptedQuantity !== undefined
+      ? new Prisma.Decimal(acceptedQuantity)
+      : new Prisma.Decimal(tranche.quantity);
+
+    if (accepted.greaterThan(tranche.quantity)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', `Accepted quantity cannot exceed the tranche's ${tranche.quantity}`);
+    }
+
+    const grade = await cropCatalogService.resolveGrade(tx, contract.listingId, qualityGrade);
+    const now = new Date();
+
+    const received = await tx.deliveryTranche.update({
+      where: { id: tranche.id },
+      data: {
+        status: 'received',
+        receivedAt: now,
+        acceptedQuantity: accepted,
+        qualityGrade: grade || null,
+        settledAmount: new Prisma.Decimal(contract.agreedPrice).mul(accepted).toDecimalPlaces(2),
+      },
+    });
+
+    await recordTrancheSettlement(tx, contract, received);
+
+    // The contract's totals are the sum of its received tranches
+    const totals = {
+      acceptedQuantity: new Prisma.Decimal(contract.acceptedQuantity || 0).plus(accepted),
+      settledAmount: new Prisma.Decimal(contract.settledAmount || 0).plus(received.settledAmount),
+    };
+
+    const outstanding = await tx.deliveryTranche.count({
+      where: { contractId, status: { not: 'received' } },
+    });
+
+    const notes = note || `Tranche ${tranche.sequence} received`;
+    let updated;
+
+    if (outstanding === 0) {
+      updated = await contractStateMachine.applyTransition(tx, contract, 'receive', {
+        actorId: user.id,
+        actorRole: 'buyer',
+        notes: `${notes}; all tranches received`,
+        data: {
+          ...totals,
+          receivedAt: now,
+          completedAt: now,
+          openRequestKey: null,
+        },
+      });
+
+      await listingService.completeListingIfSettled(tx, contract.listingId);
+    } else {
+      updated = await tx.contract.update({
+        where: { id: contractId },
+        data: totals,
+      });
+
+      await contractStateMachine.recordEvent(tx, {
+        contractId,
+        action: 'receive_tranche',
+        actorId: user.id,
+        actorRole: 'buyer',
+        fromStatus: contract.status,
+        toStatus: contract.status,
+        notes,
+      });
+    }
+
+    if (note || (files && files.length > 0)) {
+      await contractService.addDeliveryProof(tx, { contractId, submittedById: user.id, note, files });
+    }
+
+    return { tranche: received, contract: updated, completed: outstanding === 0, alreadyReceived: false };
+  });
+};
+
+module.exports = {
+  listTranches,
+  assertNothingReceived,
+  setSchedule,
+  clearSchedule,
+  dispatchTranche,
+  receiveTranche,
+};
@@ -0,0 +1,325 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const contractService = require('./contractService');
+const { notifyUser } = require('./notificationService');
+const { ALLOCATED_STATUSES } = require('./contractStateMachine');
+const { paginate } = require('../utils/pagination');
+const { ApiError } = require('../utils/errors');
+
+const DISPUTE_WINDOW_DAYS = parseInt(process.env.DISPUTE_WINDOW_DAYS) || 30;
+
+// Disputes still waiting for an outcome
+const ACTIVE_DISPUTE_STATUSES = ['open', 'under_review'];
+
+const userSelect = {
+  id: true,
+  fullName: true,
+  role: true,
+};
+
+const disputeInclude = {
+  raisedBy: { select: userSelect },
+  assignedAdmin: { select: userSelect },
+};
+
+const messagesInclude = {
+  messages: {
+    orderBy: { createdAt: 'asc' },
+    include: {
+      author: { select: userSelect },
+    },
+  },
+};
+
+/**
+ * Raise a dispute on a contract the user is a party to. Goods must have been
+ * committed (accepted or later); completed contracts can be disputed for
+ * DISPUTE_WINDOW_DAYS. Only one dispute per contract can be active. While it
+ * is, a delivered contract is not auto-confirmed.
+ */
+const raiseDispute = ({ contractId, userId, claimType, description, files }) => {
+  return prisma.$transaction(async (tx) => {
+    const contract = await contractService.lockContract(tx, contractId);
+
+    if (![...ALLOCATED_STATUSES, 'completed'].includes(contract.status)) {
+      throw new ApiError(409, 'INVALID_STATUS', 'Contract cannot be disputed.', `Disputes can't be raised on a ${contract.status} contract`);
+    }
+
+    const windowStart = new Date(Date.now() - DISPUTE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+    if (contract.status === 'completed' && contract.completedAt < windowStart) {
+      throw new ApiError(409, 'DISPUTE_WINDOW_CLOSED', 'Dispute window has closed.', `Disputes must be raised within ${DISPUTE_WINDOW_DAYS} days of completion`);
+    }
+
+    const active = await tx.dispute.findFirst({
+      where: { contractId, status: { in: ACTIVE_DISPUTE_STATUSES } },
+      select: { id: true },
+    });
+
+    if (active) {
+      throw new ApiError(409, 'DISPUTE_EXISTS', 'A dispute is already open on this contract.', `Add to dispute ${active.id} instead`);
+    }
+
+    const dispute = await tx.dispute.create({
+      data: {
+        contractId,
+        raisedById: userId,
+        claimType,
+        description,
+        messages: {
+          create: {
+            authorId: userId,
+            body: description,
+            files: contractService.toStoredFiles(files),
+          },
+        },
+      },
+      include: { ...disputeInclude, ...messagesInclude },
+    });
+
+    if (contract.status === 'delivered') {
+      await tx.contract.update({
+        where: { id: contractId },
+        data: { autoConfirmAt: null },
+      });
+    }
+
+    return { dispute, contract };
+  });
+};
+
+/**
+ * One page of a contract's disputes, newest first. `page` comes from
+ * getPageParams. Returns { items, pageInfo, total }.
+ */
+const listContractDisputes = (contractId, page) => {
+  return paginate(prisma.dispute, {
+    where: { contractId },
+    orderBy: { createdAt: 'desc' },
+    include: disputeInclude,
+  }, page);
+};
+
+/**
+ * One page of the admin dispute queue, oldest first. `page` comes from
+ * getPageParams. Returns { disputes, pageInfo, total }.
+ */
+const listDisputes = async ({ status, assignedAdminId, page }) => {
+  const where = {};
+
+  if (status) {
+    where.status = status;
+  }
+  if (assignedAdminId) {
+    where.assignedAdminId = assignedAdminId;
+  }
+
+  const { items, pageInfo, total } = await paginate(prisma.dispute, {
+    where,
+    orderBy: { createdAt: 'asc' },
+    include: {
+      ...disputeInclude,
+      contract: {
+        select: {
+          id: true,
+          cropType: true,
+          status: true,
+          settledAmount: true,
+          farmerId: true,
+          buyerId: true,
+        },
+      },
+    },
+  }, page);
+
+  return { disputes: items, pageInfo, total };
+};
+
+/**
+ * A dispute with its message thread, or null. Pass `contractId` to require
+ * that it belongs to that contract.
+ */
+const getDispute = (disputeId, contractId) => {
+  return prisma.dispute.findFirst({
+    where: contractId ? { id: disputeId, contractId } : { id: disputeId },
+    include: { ...disputeInclude, ...messagesInclude, contract: true },
+  });
+};
+
+/**
+ * Add a message (with optional evidence files) to an active dispute
+ */
+const addMessage = async ({ dispute, authorId, body, files }) => {
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw new ApiError(409, 'DISPUTE_CLOSED', 'Dispute is closed.', 'Messages can only be added to open disputes');
+  }
+
+  return prisma.disputeMessage.create({
+    data: {
+      disputeId: dispute.id,
+      authorId,
+      body,
+      files: contractService.toStoredFiles(files),
+    },
+    include: {
+      author: { select: userSelect },
+    },
+  });
+};
+
+/**
+ * Assign a dispute to an admin and put it under review
+ */
+const assignDispute = async ({ dispute, adminId }, db = prisma) => {
+  if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+    throw new ApiError(409, 'DISPUTE_CLOSED', 'Dispute is closed.', 'Only open disputes can be assigned');
+  }
+
+  const admin = await db.user.findFirst({
+    where: { id: adminId, role: 'admin', isActive: true },
+    select: { id: true },
+  });
+
+  if (!admin) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', 'Disputes can only be assigned to an active admin');
+  }
+
+  return db.dispute.update({
+    where: { id: dispute.id },
+    data: {
+      assignedAdminId: admin.id,
+      status: 'under_review',
+    },
+    include: disputeInclude,
+  });
+};
+
+/**
+ * Resolve a dispute. `refund` returns the whole settled amount of the
+ * contract to the buyer and `partial_settlement` returns `amount` of it; both
+ * need a completed contract and write adjusting ledger entries (an expense
+ * for the farmer, income for the buyer) and reduce the contract's
+ * `settledAmount`. `dismissed` changes nothing, and restarts the auto-confirm
+ * clock of a contract still awaiting the buyer's receipt.
+ *
+ * Runs in one transaction with `onResolved(tx, dispute)` (used for the audit
+ * entry). Returns { dispute, contract }.
+ */
+const resolveDispute = ({ disputeId, adminId, outcome, amount, notes }, onResolved) => {
+  return prisma.$transaction(async (tx) => {
+    const existing = await tx.dispute.findUnique({
+      where: { id: disputeId },
+      select: { contractId: true },
+    });
+
+    if (!existing) {
+      throw new ApiError(404, 'NOT_FOUND', 'Dispute not found.', 'Dispute does not exist');
+    }
+
+    // Lock the contract first; a concurrent resolution of the same dispute waits here
+    const contract = await contractService.lockContract(tx, existing.contractId);
+    const dispute = await tx.dispute.findUnique({ where: { id: disputeId } });
+
+    if (!ACTIVE_DISPUTE_STATUSES.includes(dispute.status)) {
+      throw new ApiError(409, 'DISPUTE_CLOSED', 'Dispute is already resolved.', `Outcome was ${dispute.outcome}`);
+    }
+
+    let refundAmount = null;
+
+    if (outcome !== 'dismissed') {
+      if (contract.status !== 'completed') {
+        throw new ApiError(409, 'CONTRACT_NOT_SETTLED', 'Contract has not been settled.',
+          'Refunds apply to completed contracts; dismiss the dispute or cancel the contract instead');
+      }
+
+      const settled = new Prisma.Decimal(contract.settledAmount || 0);
+      refundAmount = outcome === 'refund' ? settled : new Prisma.Decimal(amount).toDecimalPlaces(2);
+
+      if (refundAmount.lessThanOrEqualTo(0) || refundAmount.greaterThan(settled)) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', `Refund must be more than 0 and at most the settled ${settled}`);
+      }
+
+      const transactionDate = new Date();
+
+      await tx.transaction.createMany({
+        data: [
+          {
+            userId: contract.farmerId,
+            type: 'expense',
+            category: 'refund',
+            amount: refundAmount,
+            description: `Dispute refund to buyer - Contract ${contract.id}`,
+            referenceId: dispute.id,
+            referenceType: 'dispute',
+            idempotencyKey: `dispute:${dispute.id}:farmer`,
+            transactionDate,
+          },
+          {
+            userId: contract.buyerId,
+            type: 'income',
+            category: 'refund',
+            amount: refundAmount,
+            description: `Dispute refund from farmer - Contract ${contract.id}`,
+            referenceId: dispute.id,
+            referenceType: 'dispute',
+            idempotencyKey: `dispute:${dispute.id}:buyer`,
+            transactionDate,
+          },
+        ],
+        skipDuplicates: true,
+      });
+
+      await tx.contract.update({
+        where: { id: contract.id },
+        data: { settledAmount: settled.minus(refundAmount) },
+      });
+    } else if (contract.status === 'delivered') {
+      await tx.contract.update({
+        where: { id: contract.id },
+        data: { autoConfirmAt: contractService.getAutoConfirmAt() },
+      });
+    }
+
+    const resolved = await tx.dispute.update({
+      where: { id: dispute.id },
+      data: {
+        status: 'resolved',
+        outcome,
+        refundAmount,
+        resolutionNotes: notes || null,
+        resolvedAt: new Date(),
+        assignedAdminId: dispute.assignedAdminId || adminId,
+      },
+      include: disputeInclude,
+    });
+
+    if (onResolved) {
+      await onResolved(tx, resolved);
+    }
+
+    return { dispute: resolved, contract };
+  });
+};
+
+/**
+ * Tell the parties about a raised or resolved dispute
+ */
+const notifyParties = async (contract, { subject, text }) => {
+  const parties = await prisma.user.findMany({
+    where: { id: { in: [contract.farmerId, contract.buyerId] } },
+    select: { fullName: true, email: true, phone: true },
+  });
+
+  return Promise.all(parties.map(user => notifyUser(user, { subject, text })));
+};
+
+module.exports = {
+  raiseDispute,
+  listContractDisputes,
+  listDisputes,
+  getDispute,
+  addMessage,
+  assignDispute,
+  resolveDispute,
+  notifyParties,
+};
@@ -0,0 +1,311 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { paginate, paginateIds } = require('../utils/pagination');
+
+const EARTH_RADIUS_KM = 6371;
+
+// Most listings a radius or text search considers; the nearest or best matches are kept
+const MAX_SEARCH_CANDIDATES = parseInt(process.env.MAX_SEARCH_CANDIDATES) || 1000;
+const KM_PER_DEGREE = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+/**
+ * Latitude range and longitude ranges (more than one when the box crosses
+ * the antimeridian, none when it covers every longitude) that contain every
+ * point within `radiusKm` of lat/lng
+ */
+const getBoundingBox = (lat, lng, radiusKm) => {
+  const latDelta = radiusKm / KM_PER_DEGREE;
+  const minLat = Math.max(lat - latDelta, -90);
+  const maxLat = Math.min(lat + latDelta, 90);
+
+  // Near a pole the circle can span every longitude
+  if (minLat === -90 || maxLat === 90) {
+    return { minLat, maxLat, lngRanges: null };
+  }
+
+  // Longitude degrees shrink towards the poles; size the box for its widest latitude
+  const widestLat = Math.max(Math.abs(minLat), Math.abs(maxLat));
+  const lngDelta = latDelta / Math.cos((widestLat * Math.PI) / 180);
+
+  if (lngDelta >= 180) {
+    return { minLat, maxLat, lngRanges: null };
+  }
+
+  const minLng = lng - lngDelta;
+  const maxLng = lng + lngDelta;
+
+  if (minLng < -180) {
+    return { minLat, maxLat, lngRanges: [[minLng + 360, 180], [-180, maxLng]] };
+  }
+  if (maxLng > 180) {
+    return { minLat, maxLat, lngRanges: [[minLng, 180], [-180, maxLng - 360]] };
+  }
+  return { minLat, maxLat, lngRanges: [[minLng, maxLng]] };
+};
+
+/**
+ * Active listings whose location is within `radiusKm` of lat/lng, nearest
+ * first: [{ id, distanceKm }], at most MAX_SEARCH_CANDIDATES. A bounding box
+ * on the indexed coordinates narrows the candidates before the exact
+ * (haversine) distance is computed.
+ */
+const findNearbyListings = ({ lat, lng, radiusKm }) => {
+  const { minLat, maxLat, lngRanges } = getBoundingBox(lat, lng, radiusKm);
+
+  const lngFilter = lngRanges
+    ? Prisma.sql`AND (${Prisma.join(lngRanges.map(([min, max]) => Prisma.sql`ul.longitude BETWEEN ${min}::numeric AND ${max}::numeric`), ' OR ')})`
+    : Prisma.empty;
+
+  return prisma.$queryRaw`
+    SELECT id, distance_km AS "distanceKm" FROM (
+      SELECT l.id, ${EARTH_RADIUS_KM}::float8 * 2 * ASIN(LEAST(1, SQRT(
+        POWER(SIN(RADIANS(ul.latitude::float8 - ${lat}::float8) / 2), 2)
+        + COS(RADIANS(${lat}::float8)) * COS(RADIANS(ul.latitude::float8))
+        * POWER(SIN(RADIANS(ul.longitude::float8 - ${lng}::float8) / 2), 2)
+      ))) AS distance_km
+      FROM contract_listings l
+      JOIN user_locations ul ON ul.id = l.location_id
+      WHERE l.status = 'active'
+        AND ul.latitude BETWEEN ${minLat}::numeric AND ${maxLat}::numeric
+        ${lngFilter}
+    ) nearby
+    WHERE distance_km <= ${radiusKm}::float8
+    ORDER BY distance_km, id
+    LIMIT ${MAX_SEARCH_CANDIDATES}
+  `;
+};
+
+/**
+ * Full-text document of a listing: its crop type and description. The
+ * expression must match the search index (see README) for the index to be used.
+ */
+const LISTING_DOCUMENT = Prisma.sql`to_tsvector('english', l.crop_type || ' ' || COALESCE(l.description, ''))`;
+
+// Markers ts_headline puts around matches; swapped for <mark> after escaping
+const MATCH_START = '[[[';
+const MATCH_END = ']]]';
+
+// Sort orders that can be applied in the database
+const SORT_ORDERS = {
+  newest: { createdAt: 'desc' },
+  price_asc: { expectedPrice: 'asc' },
+  price_desc: { expectedPrice: 'desc' },
+  harvest_asc: { harvestDate: { sort: 'asc', nulls: 'last' } },
+  harvest_desc: { harvestDate: { sort: 'desc', nulls: 'last' } },
+};
+
+/**
+ * Active listings matching the search `q` (web search syntax: words,
+ * "quoted phrases", -excluded), best match first: [{ id, rank }], at most
+ * MAX_SEARCH_CANDIDATES
+ */
+const findTextMatches = (q) => {
+  return prisma.$queryRaw`
+    SELECT l.id, ts_rank(${LISTING_DOCUMENT}, query) AS rank
+    FROM contract_listings l, websearch_to_tsquery('english', ${q}) query
+    WHERE l.status = 'active'
+      AND ${LISTING_DOCUMENT} @@ query
+    ORDER BY rank DESC, l.id
+    LIMIT ${MAX_SEARCH_CANDIDATES}
+  `;
+};
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Excerpts of the given listings around the matches for `q`, with matches
+ * wrapped in <mark>: Map of id -> HTML-escaped snippet
+ */
+const getSnippets = async (ids, q) => {
+  const rows = await prisma.$queryRaw`
+    SELECT l.id, ts_headline(
+      'english',
+      l.crop_type || ' ' || COALESCE(l.description, ''),
+      websearch_to_tsquery('english', ${q}),
+      ${`StartSel=${MATCH_START}, StopSel=${MATCH_END}, MaxFragments=2, MaxWords=25, MinWords=8`}
+    ) AS snippet
+    FROM contract_listings l
+    WHERE l.id IN (${Prisma.join(ids)})
+  `;
+
+  return new Map(rows.map(row => [
+    row.id,
+    escapeHtml(row.snippet).split(MATCH_START).join('<mark>').split(MATCH_END).join('</mark>'),
+  ]));
+};
+
+/**
+ * Prisma filter for the listing search parameters (all optional): crop,
+ * location, minPrice, maxPrice, minQuantity, maxQuantity (available
+ * quantity), unit, harvestFrom, harvestTo, verifiedOnly. Pass the catalog
+ * crop that `crop` names (see cropCatalogService.findCrop) to also match its
+ * listings by catalog entry, whatever name they were listed under.
+ */
+const buildListingWhere = (query, catalogCrop = null) => {
+  const { minPrice, maxPrice, minQuantity, maxQuantity, harvestFrom, harvestTo, verifiedOnly } = query;
+  const [crop, location, unit] = [query.crop, query.location, query.unit].map(value => value && value.trim());
+
+  const where = {
+    status: 'active', // Only show active listings
+  };
+
+  if (catalogCrop) {
+    where.OR = [
+      { cropId: catalogCrop.id },
+      { cropType: { contains: crop, mode: 'insensitive' } },
+    ];
+  } else if (crop) {
+    where.cropType = {
+      contains: crop,
+      mode: 'insensitive',
+    };
+  }
+
+  if (location) {
+    where.location = {
+      OR: [
+        { city: { contains: location, mode: 'insensitive' } },
+        { state: { contains: location, mode: 'insensitive' } },
+        { pincode: { contains: location } },
+      ],
+    };
+  }
+
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    where.expectedPrice = {
+      gte: minPrice !== undefined ? new Prisma.Decimal(minPrice) : undefined,
+      lte: maxPrice !== undefined ? new Prisma.Decimal(maxPrice) : undefined,
+    };
+  }
+
+  if (minQuantity !== undefined || maxQuantity !== undefined) {
+    where.availableQuantity = {
+      gte: minQuantity !== undefined ? new Prisma.Decimal(minQuantity) : undefined,
+      lte: maxQuantity !== undefined ? new Prisma.Decimal(maxQuantity) : undefined,
+    };
+  }
+
+  if (unit) {
+    where.unit = { equals: unit, mode: 'insensitive' };
+  }
+
+  if (harvestFrom || harvestTo) {
+    where.harvestDate = {
+      gte: harvestFrom ? new Date(harvestFrom) : undefined,
+      lte: harvestTo ? new Date(harvestTo) : undefined,
+    };
+  }
+
+  if (verifiedOnly === 'true') {
+    where.farmer = { isVerified: true };
+  }
+
+  return where;
+};
+
+/**
+ * Page of listings matching `where`, optionally within `geo` ({ lat, lng,
+ * radiusKm }) and matching the text search `q`.
+ *
+ * `sort` is one of SORT_ORDERS, `distance` (needs `geo`) or `relevance`
+ * (needs `q`). The database pages SORT_ORDERS sorts; distance and relevance
+ * are computed in SQL for at most MAX_SEARCH_CANDIDATES listings and paged
+ * here. `page` comes from getPageParams. Listings carry `distanceKm` with
+ * `geo`, and `rank` and a highlighted `snippet` with `q`.
+ * Returns { listings, pageInfo, total }.
+ */
+const searchListings = async ({ where, geo, q, sort, page, include }) => {
+  const metrics = new Map();
+  let candidateIds = null;
+
+  if (geo) {
+    const nearby = await findNearbyListings(geo);
+
+    candidateIds = nearby.map(row => row.id);
+    nearby.forEach(row => metrics.set(row.id, { distanceKm: row.distanceKm }));
+  }
+
+  if (q) {
+    const matches = await findTextMatches(q);
+    const ranks = new Map(matches.map(row => [row.id, row.rank]));
+
+    candidateIds = (candidateIds || matches.map(row => row.id)).filter(id => ranks.has(id));
+    candidateIds.forEach(id => metrics.set(id, { ...metrics.get(id), rank: ranks.get(id) }));
+  }
+
+  const filtered = candidateIds ? { ...where, id: { in: candidateIds } } : where;
+  let listings;
+  let pageInfo;
+  let total;
+
+  if (sort === 'distance' || sort === 'relevance') {
+    // Computed orders: rank the (capped) candidates here and cut the page from their ids
+    const compare = sort === 'distance'
+      ? (a, b) => metrics.get(a).distanceKm - metrics.get(b).distanceKm
+      : (a, b) => metrics.get(b).rank - metrics.get(a).rank;
+
+    const matching = await prisma.contractListing.findMany({
+      where: filtered,
+      select: { id: true },
+    });
+
+    const ids = matching
+      .map(listing => listing.id)
+      .sort((a, b) => compare(a, b) || a.localeCompare(b));
+
+    const result = paginateIds(ids, page);
+
+    const rows = await prisma.contractListing.findMany({
+      where: { id: { in: result.ids } },
+      include,
+    });
+    const byId = new Map(rows.map(listing => [listing.id, listing]));
+
+    listings = result.ids.map(id => byId.get(id));
+    pageInfo = result.pageInfo;
+    total = result.total;
+  } else {
+    const result = await paginate(prisma.contractListing, {
+      where: filtered,
+      orderBy: SORT_ORDERS[sort],
+      include,
+    }, page);
+
+    listings = result.items;
+    pageInfo = result.pageInfo;
+    total = result.total;
+  }
+
+  const snippets = q && listings.length > 0
+    ? await getSnippets(listings.map(listing => listing.id), q)
+    : null;
+
+  return {
+    listings: listings.map((listing) => {
+      const result = { ...listing };
+
+      if (geo) {
+        result.distanceKm = Math.round(metrics.get(listing.id).distanceKm * 100) / 100;
+      }
+      if (q) {
+        result.rank = metrics.get(listing.id).rank;
+        result.snippet = snippets.get(listing.id);
+      }
+
+      return result;
+    }),
+    pageInfo,
+    total,
+  };
+};
+
+module.exports = {
+  buildListingWhere,
+  searchListings,
+};
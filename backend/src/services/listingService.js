@@ -0,0 +1,93 @@
+const { Prisma } = require('@prisma/client');
+const { ALLOCATED_STATUSES } = require('./contractStateMachine');
+
+/**
+ * Reserve `quantity` of a listing for an accepted contract. The check and
+ * decrement are a single conditional UPDATE, so two concurrent accepts can
+ * never allocate more than is available. The listing becomes `contracted`
+ * once nothing is left.
+ *
+ * Must be called inside a transaction. Returns false if not enough is left.
+ */
+const allocateQuantity = async (tx, listingId, quantity) => {
+  const { count } = await tx.contractListing.updateMany({
+    where: {
+      id: listingId,
+      status: 'active',
+      availableQuantity: { gte: quantity },
+    },
+    data: {
+      availableQuantity: { decrement: quantity },
+    },
+  });
+
+  if (count === 0) {
+    return false;
+  }
+
+  await tx.contractListing.updateMany({
+    where: {
+      id: listingId,
+      status: 'active',
+      availableQuantity: { lte: 0 },
+    },
+    data: { status: 'contracted' },
+  });
+
+  return true;
+};
+
+/**
+ * Return an accepted contract's quantity to its listing (on reject/cancel)
+ * and reopen the listing if it was fully contracted.
+ *
+ * Must be called inside a transaction.
+ */
+const releaseQuantity = async (tx, listingId, quantity) => {
+  await tx.contractListing.update({
+    where: { id: listingId },
+    data: {
+      availableQuantity: { increment: quantity },
+    },
+  });
+
+  await tx.contractListing.updateMany({
+    where: { id: listingId, status: 'contracted' },
+    data: { status: 'active' },
+  });
+};
+
+/**
+ * Mark a listing completed once it is fully allocated and none of its
+ * contracts are still open
+ */
+const completeListingIfSettled = async (tx, listingId) => {
+  const listing = await tx.contractListing.findUnique({
+    where: { id: listingId },
+    select: { status: true, availableQuantity: true },
+  });
+
+  if (!listing || listing.status !== 'contracted' || new Prisma.Decimal(listing.availableQuantity).greaterThan(0)) {
+    return;
+  }
+
+  const openContracts = await tx.contract.count({
+    where: {
+      listingId,
+      status: { in: ALLOCATED_STATUSES },
+    },
+  });
+
+  if (openContracts === 0) {
+    await tx.contractListing.update({
+      where: { id: listingId },
+      data: { status: 'completed' },
+    });
+  }
+};
+
+module.exports = {
+  allocateQuantity,
+  releaseQuantity,
+  completeListingIfSettled,
+};
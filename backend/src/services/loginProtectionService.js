@@ -0,0 +1,151 @@
+const prisma = require('../config/database');
+const { paginate } = require('../utils/pagination');
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_DELAY_AFTER_FAILURES = parseInt(process.env.LOGIN_DELAY_AFTER_FAILURES) || 3;
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS) || 30;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const LOGIN_MAX_FAILURES_PER_IP = parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 30;
+
+const LOCKOUT_MS = LOGIN_LOCKOUT_MINUTES * 60 * 1000;
+
+/**
+ * Normalize the email/phone a login was attempted with
+ */
+const normalizeIdentifier = (identifier) => {
+  return String(identifier || '').trim().toLowerCase().substring(0, 100);
+};
+
+/**
+ * Attempts are keyed by account when it exists, otherwise by identifier,
+ * so unknown emails/phones are throttled exactly like real ones.
+ */
+const attemptKey = ({ userId, identifier }) => {
+  return userId ? { userId } : { identifier: normalizeIdentifier(identifier), userId: null };
+};
+
+/**
+ * Seconds until the given time (at least 1)
+ */
+const secondsUntil = (time) => {
+  return Math.max(1, Math.ceil((time - Date.now()) / 1000));
+};
+
+/**
+ * Check whether a login may be attempted right now.
+ *
+ * Failures since the last successful login (or OTP unlock) within the lockout
+ * window are counted. After LOGIN_DELAY_AFTER_FAILURES failures each retry must
+ * wait an exponentially growing delay; at LOGIN_MAX_FAILURES the account is
+ * locked for LOGIN_LOCKOUT_MINUTES.
+ *
+ * Returns { allowed: true } or { allowed: false, result, retryAfter } where
+ * result is `locked` or `throttled`.
+ */
+const checkLoginAllowed = async ({ userId, identifier, ipAddress }) => {
+  const now = Date.now();
+  const windowStart = new Date(now - LOCKOUT_MS);
+  const key = attemptKey({ userId, identifier });
+
+  if (ipAddress) {
+    const ipFailures = await prisma.loginAttempt.count({
+      where: {
+        ipAddress,
+        result: 'invalid_credentials',
+        createdAt: { gte: windowStart },
+      },
+    });
+
+    if (ipFailures >= LOGIN_MAX_FAILURES_PER_IP) {
+      return { allowed: false, result: 'throttled', retryAfter: LOGIN_LOCKOUT_MINUTES * 60 };
+    }
+  }
+
+  const lastReset = await prisma.loginAttempt.findFirst({
+    where: {
+      ...key,
+      result: { in: ['success', 'unlocked'] },
+      createdAt: { gte: windowStart },
+    },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+  });
+
+  const failures = await prisma.loginAttempt.findMany({
+    where: {
+      ...key,
+      result: 'invalid_credentials',
+      createdAt: { gt: lastReset ? lastReset.createdAt : windowStart },
+    },
+    orderBy: { createdAt: 'desc' },
+    take: LOGIN_MAX_FAILURES,
+    select: { createdAt: true },
+  });
+
+  if (failures.length === 0) {
+    return { allowed: true };
+  }
+
+  const lastFailureAt = failures[0].createdAt.getTime();
+
+  if (failures.length >= LOGIN_MAX_FAILURES) {
+    return {
+      allowed: false,
+      result: 'locked',
+      retryAfter: secondsUntil(lastFailureAt + LOCKOUT_MS),
+    };
+  }
+
+  if (failures.length >= LOGIN_DELAY_AFTER_FAILURES) {
+    const delaySeconds = Math.min(
+      2 ** (failures.length - LOGIN_DELAY_AFTER_FAILURES + 1),
+      LOGIN_MAX_DELAY_SECONDS
+    );
+    const nextAllowedAt = lastFailureAt + delaySeconds * 1000;
+
+    if (nextAllowedAt > now) {
+      return { allowed: false, result: 'throttled', retryAfter: secondsUntil(nextAllowedAt) };
+    }
+  }
+
+  return { allowed: true };
+};
+
+/**
+ * Record a login attempt for lockout tracking and the user's login history
+ */
+const recordLoginAttempt = ({ userId, identifier, result, ipAddress, userAgent }) => {
+  return prisma.loginAttempt.create({
+    data: {
+      userId: userId || null,
+      identifier: normalizeIdentifier(identifier),
+      result,
+      ipAddress: ipAddress || null,
+      userAgent: userAgent ? userAgent.substring(0, 255) : null,
+    },
+  });
+};
+
+/**
+ * One page of a user's login attempts, most recent first. `page` comes from
+ * getPageParams. Returns { items, pageInfo, total }.
+ */
+const getLoginHistory = (userId, page) => {
+  return paginate(prisma.loginAttempt, {
+    where: { userId },
+    orderBy: { createdAt: 'desc' },
+    select: {
+      id: true,
+      result: true,
+      ipAddress: true,
+      userAgent: true,
+      createdAt: true,
+    },
+  }, page);
+};
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginAttempt,
+  getLoginHistory,
+};
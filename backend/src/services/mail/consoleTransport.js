@@ -0,0 +1,12 @@
+/**
+ * Console mail transport - prints messages to stdout (development only)
+ */
+const send = async ({ to, subject, text }) => {
+  console.log(`[MAIL] To ${to}: ${subject}\n${text}`);
+  return { transport: 'console' };
+};
+
+module.exports = {
+  name: 'console',
+  send,
+};
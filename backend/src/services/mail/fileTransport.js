@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local stub: messages are appended as JSON lines to an outbox file
+const outboxFile = process.env.MAIL_OUTBOX_FILE || './logs/mail-outbox.log';
+
+/**
+ * File mail transport - appends messages to a local outbox file
+ */
+const send = async ({ from, to, subject, text }) => {
+  await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+  await fs.promises.appendFile(
+    outboxFile,
+    `${JSON.stringify({ from, to, subject, text, sentAt: new Date().toISOString() })}\n`
+  );
+  return { transport: 'file' };
+};
+
+module.exports = {
+  name: 'file',
+  send,
+};
@@ -0,0 +1,37 @@
+/**
+ * HTTP mail transport.
+ * POSTs { from, to, subject, text } as JSON to MAIL_HTTP_URL with an optional
+ * bearer token, for transactional mail APIs or a small relay in front of SMTP.
+ */
+const MAIL_HTTP_URL = process.env.MAIL_HTTP_URL;
+const MAIL_HTTP_API_KEY = process.env.MAIL_HTTP_API_KEY;
+const MAIL_HTTP_TIMEOUT_MS = parseInt(process.env.MAIL_HTTP_TIMEOUT_MS) || 10000;
+
+const send = async ({ from, to, subject, text }) => {
+  if (!MAIL_HTTP_URL) {
+    throw new Error('MAIL_HTTP_URL is not configured');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (MAIL_HTTP_API_KEY) {
+    headers.Authorization = `Bearer ${MAIL_HTTP_API_KEY}`;
+  }
+
+  const response = await fetch(MAIL_HTTP_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ from, to, subject, text }),
+    signal: AbortSignal.timeout(MAIL_HTTP_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Mail API responded with status ${response.status}`);
+  }
+
+  return { transport: 'http' };
+};
+
+module.exports = {
+  name: 'http',
+  send,
+};
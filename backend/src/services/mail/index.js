@@ -0,0 +1,31 @@
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+const httpTransport = require('./httpTransport');
+
+/**
+ * Mail transports implement `send({ from, to, subject, text })` and resolve
+ * once the message has been handed off. Select one with MAIL_TRANSPORT.
+ */
+const transports = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [httpTransport.name]: httpTransport,
+};
+
+const transportName = process.env.MAIL_TRANSPORT || 'console';
+const MAIL_FROM = process.env.MAIL_FROM || 'Safalya <no-reply@safalya.app>';
+
+if (!transports[transportName]) {
+  throw new Error(`Unknown MAIL_TRANSPORT "${transportName}". Available: ${Object.keys(transports).join(', ')}`);
+}
+
+/**
+ * Send an email through the configured transport
+ */
+const sendMail = ({ to, subject, text }) => {
+  return transports[transportName].send({ from: MAIL_FROM, to, subject, text });
+};
+
+module.exports = {
+  sendMail,
+};
@@ -0,0 +1,22 @@
+const { sendMail } = require('./mail');
+const { getSmsProvider } = require('./sms');
+
+/**
+ * Notify a user by email, or by SMS when they have no email.
+ * Delivery failures are logged and never fail the calling request.
+ */
+const notifyUser = async (user, { subject, text }) => {
+  try {
+    if (user.email) {
+      await sendMail({ to: user.email, subject, text });
+    } else if (user.phone) {
+      await getSmsProvider().send(user.phone, text);
+    }
+  } catch (error) {
+    console.error('Notification failed:', error.message);
+  }
+};
+
+module.exports = {
+  notifyUser,
+};
@@ -0,0 +1,181 @@
+const { Prisma } = require('@prisma/client');
+const prisma = require('../config/database');
+const { lockContract } = require('./contractService');
+const { paginate } = require('../utils/pagination');
+
+const CONTRACT_OFFER_EXPIRY_HOURS = parseInt(process.env.CONTRACT_OFFER_EXPIRY_HOURS) || 48;
+const MAX_OFFER_EXPIRY_HOURS = 7 * 24;
+
+/**
+ * HTTP status and client-facing text for each offer error code
+ */
+const OFFER_ERRORS = {
+  OFFER_NOT_FOUND: { status: 404, message: 'Offer not found.', details: 'Offer does not exist on this contract' },
+  OFFER_NOT_PENDING: { status: 409, message: 'Offer is no longer open.', details: 'Only the latest pending offer can be answered' },
+  OFFER_EXPIRED: { status: 409, message: 'Offer has expired.', details: 'Post a new offer to continue negotiating' },
+  OWN_OFFER: { status: 400, message: 'You cannot respond to your own offer.', details: 'Wait for the other party to respond' },
+};
+
+const offerInclude = {
+  proposedBy: {
+    select: {
+      id: true,
+      fullName: true,
+      role: true,
+    },
+  },
+};
+
+/**
+ * Expiry for a new offer: `expiresInHours` if given (capped at a week),
+ * otherwise CONTRACT_OFFER_EXPIRY_HOURS
+ */
+const getOfferExpiry = (expiresInHours) => {
+  const hours = Math.min(parseInt(expiresInHours) || CONTRACT_OFFER_EXPIRY_HOURS, MAX_OFFER_EXPIRY_HOURS);
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+/**
+ * Total contract value for a price and quantity
+ */
+const computeTotal = (pricePerUnit, quantity) => {
+  return new Prisma.Decimal(pricePerUnit).mul(quantity).toDecimalPlaces(2);
+};
+
+/**
+ * Mark pending offers past their expiry as expired
+ */
+const expireStaleOffers = (contractId, db = prisma) => {
+  return db.contractOffer.updateMany({
+    where: {
+      contractId,
+      status: 'pending',
+      expiresAt: { lt: new Date() },
+    },
+    data: { status: 'expired' },
+  });
+};
+
+/**
+ * Most recent offer on a contract (after expiring stale ones)
+ */
+const getLatestOffer = async (contractId, db = prisma) => {
+  await expireStaleOffers(contractId, db);
+
+  return db.contractOffer.findFirst({
+    where: { contractId },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * One page of a contract's offer history, oldest first. `page` comes from
+ * getPageParams. Returns { items, pageInfo, total }.
+ */
+const listOffers = async (contractId, page) => {
+  await expireStaleOffers(contractId);
+
+  return paginate(prisma.contractOffer, {
+    where: { contractId },
+    orderBy: { createdAt: 'asc' },
+    include: offerInclude,
+  }, page);
+};
+
+/**
+ * Put a new offer on the table. Any outstanding offer is marked `countered`.
+ */
+const createOffer = async ({ contractId, proposedById, pricePerUnit, quantity, message, expiresInHours }, db = prisma) => {
+  await db.contractOffer.updateMany({
+    where: { contractId, status: 'pending' },
+    data: { status: 'countered', respondedAt: new Date() },
+  });
+
+  return db.contractOffer.create({
+    data: {
+      contractId,
+      proposedById,
+      pricePerUnit: new Prisma.Decimal(pricePerUnit),
+      quantity: new Prisma.Decimal(quantity),
+      message: message || null,
+      expiresAt: getOfferExpiry(expiresInHours),
+    },
+    include: offerInclude,
+  });
+};
+
+/**
+ * Accept or reject the outstanding offer. Only the other party may respond,
+ * and only to the latest offer while it is pending. Accepting copies the
+ * offered price and quantity onto the contract.
+ *
+ * Returns { offer } or { error } with one of
+ * OFFER_NOT_FOUND, OFFER_NOT_PENDING, OFFER_EXPIRED, OWN_OFFER.
+ */
+const respondToOffer = async ({ contract, offerId, userId, accept }) => {
+  return prisma.$transaction(async (tx) => {
+    // Serialise with accept/reject/cancel of the contract itself
+    await lockContract(tx, contract.id, ['requested']);
+
+    const latest = await getLatestOffer(contract.id, tx);
+
+    if (!latest || latest.id !== offerId) {
+      const exists = await tx.contractOffer.findFirst({
+        where: { id: offerId, contractId: contract.id },
+      });
+      return { error: exists ? 'OFFER_NOT_PENDING' : 'OFFER_NOT_FOUND' };
+    }
+
+    if (latest.status === 'expired') {
+      return { error: 'OFFER_EXPIRED' };
+    }
+
+    if (latest.status !== 'pending') {
+      return { error: 'OFFER_NOT_PENDING' };
+    }
+
+    if (latest.proposedById === userId) {
+      return { error: 'OWN_OFFER' };
+    }
+
+    // Claim the offer so a concurrent response loses
+    const { count } = await tx.contractOffer.updateMany({
+      where: { id: latest.id, status: 'pending' },
+      data: {
+        status: accept ? 'accepted' : 'rejected',
+        respondedAt: new Date(),
+      },
+    });
+
+    if (count === 0) {
+      return { error: 'OFFER_NOT_PENDING' };
+    }
+
+    if (accept) {
+      await tx.contract.update({
+        where: { id: contract.id },
+        data: {
+          agreedPrice: latest.pricePerUnit,
+          quantity: latest.quantity,
+          totalAmount: computeTotal(latest.pricePerUnit, latest.quantity),
+        },
+      });
+    }
+
+    return {
+      offer: await tx.contractOffer.findUnique({
+        where: { id: latest.id },
+        include: offerInclude,
+      }),
+    };
+  });
+};
+
+module.exports = {
+  OFFER_ERRORS,
+  computeTotal,
+  getLatestOffer,
+  listOffers,
+  createOffer,
+  respondToOffer,
+};
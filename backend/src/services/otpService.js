@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { getSmsProvider } = require('./sms');
+const { sendMail } = require('./mail');
+
+const OTP_SECRET = process.env.OTP_SECRET || process.env.JWT_SECRET || 'otp-dev-secret';
+const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS) || 5;
+const OTP_LOCKOUT_MINUTES = parseInt(process.env.OTP_LOCKOUT_MINUTES) || 15;
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60;
+const OTP_MAX_PER_DESTINATION_PER_HOUR = parseInt(process.env.OTP_MAX_PER_DESTINATION_PER_HOUR) || 5;
+const OTP_MAX_PER_IP_PER_HOUR = parseInt(process.env.OTP_MAX_PER_IP_PER_HOUR) || 20;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * HTTP status and client-facing text for each OTP error code
+ */
+const OTP_ERRORS = {
+  OTP_LOCKED: { status: 429, message: 'Too many incorrect attempts.', details: 'Please try again later' },
+  OTP_COOLDOWN: { status: 429, message: 'OTP was sent recently.', details: 'Please wait before requesting a new OTP' },
+  DESTINATION_RATE_LIMITED: { status: 429, message: 'Too many OTP requests for this phone or email.', details: 'Please try again later' },
+  IP_RATE_LIMITED: { status: 429, message: 'Too many OTP requests.', details: 'Please try again later' },
+  DELIVERY_FAILED: { status: 502, message: 'Could not send OTP.', details: 'Delivery failed, please try again' },
+  OTP_NOT_FOUND: { status: 400, message: 'OTP not found or expired.', details: 'Please request a new OTP' },
+  OTP_EXPIRED: { status: 400, message: 'OTP expired.', details: 'Please request a new OTP' },
+  INVALID_OTP: { status: 400, message: 'Invalid OTP.', details: 'OTP does not match' },
+};
+
+/**
+ * Generate 6-digit OTP
+ */
+const generateCode = () => {
+  return crypto.randomInt(100000, 1000000).toString();
+};
+
+/**
+ * Hash an OTP with a server secret, bound to destination and purpose
+ */
+const hashCode = (destination, purpose, code) => {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${purpose}:${destination}:${code}`).digest('hex');
+};
+
+/**
+ * Seconds until the given time (at least 1)
+ */
+const secondsUntil = (date) => {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Find the most recent code for a destination and purpose
+ */
+const findLatestCode = (destination, purpose) => {
+  return prisma.otpCode.findFirst({
+    where: { destination, purpose },
+    orderBy: { createdAt: 'desc' },
+  });
+};
+
+/**
+ * Deliver a code by SMS or email
+ */
+const deliverCode = (destination, channel, code) => {
+  const text = `Your Safalya verification code is ${code}. It expires in ${OTP_EXPIRY_MINUTES} minutes. Do not share it with anyone.`;
+
+  if (channel === 'email') {
+    return sendMail({ to: destination, subject: 'Your Safalya verification code', text });
+  }
+
+  return getSmsProvider().send(destination, text);
+};
+
+/**
+ * Generate, store and deliver an OTP to a phone (channel `sms`) or email
+ * (channel `email`).
+ *
+ * Returns { code, expiresAt } on success or { error, retryAfter } with one of
+ * OTP_LOCKED, OTP_COOLDOWN, DESTINATION_RATE_LIMITED, IP_RATE_LIMITED, DELIVERY_FAILED.
+ */
+const sendOtp = async ({ destination, channel = 'sms', purpose = 'login', ipAddress }) => {
+  const now = new Date();
+  const hourAgo = new Date(now.getTime() - HOUR_MS);
+
+  const latest = await findLatestCode(destination, purpose);
+
+  if (latest) {
+    // Too many wrong guesses on the last code locks the destination for a while
+    if (latest.attempts >= OTP_MAX_ATTEMPTS && !latest.consumedAt) {
+      const lockedUntil = new Date(latest.createdAt.getTime() + OTP_LOCKOUT_MINUTES * 60 * 1000);
+      if (lockedUntil > now) {
+        return { error: 'OTP_LOCKED', retryAfter: secondsUntil(lockedUntil) };
+      }
+    }
+
+    const cooldownEndsAt = new Date(latest.createdAt.getTime() + OTP_RESEND_COOLDOWN_SECONDS * 1000);
+    if (cooldownEndsAt > now) {
+      return { error: 'OTP_COOLDOWN', retryAfter: secondsUntil(cooldownEndsAt) };
+    }
+  }
+
+  const [destinationCount, ipCount] = await Promise.all([
+    prisma.otpCode.count({
+      where: { destination, createdAt: { gte: hourAgo } },
+    }),
+    ipAddress
+      ? prisma.otpCode.count({
+        where: { ipAddress, createdAt: { gte: hourAgo } },
+      })
+      : 0,
+  ]);
+
+  if (destinationCount >= OTP_MAX_PER_DESTINATION_PER_HOUR) {
+    return { error: 'DESTINATION_RATE_LIMITED', retryAfter: 60 * 60 };
+  }
+
+  if (ipCount >= OTP_MAX_PER_IP_PER_HOUR) {
+    return { error: 'IP_RATE_LIMITED', retryAfter: 60 * 60 };
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(now.getTime() + OTP_EXPIRY_MINUTES * 60 * 1000);
+
+  const record = await prisma.otpCode.create({
+    data: {
+      destination,
+      channel,
+      purpose,
+      codeHash: hashCode(destination, purpose, code),
+      ipAddress: ipAddress || null,
+      expiresAt,
+    },
+  });
+
+  try {
+    await deliverCode(destination, channel, code);
+  } catch (error) {
+    console.error('OTP delivery failed:', error.message);
+    // Undelivered codes should not count against cooldowns or limits
+    await prisma.otpCode.delete({ where: { id: record.id } });
+    return { error: 'DELIVERY_FAILED' };
+  }
+
+  return { code, expiresAt };
+};
+
+/**
+ * Check an OTP against the latest code for the destination and purpose.
+ * Every check counts as an attempt; a code is single use.
+ *
+ * Returns { verified: true } or { error, attemptsRemaining } with one of
+ * OTP_NOT_FOUND, OTP_EXPIRED, OTP_LOCKED, INVALID_OTP.
+ */
+const verifyOtp = async ({ destination, code, purpose = 'login' }) => {
+  const latest = await findLatestCode(destination, purpose);
+
+  if (!latest || latest.consumedAt) {
+    return { error: 'OTP_NOT_FOUND' };
+  }
+
+  if (latest.expiresAt < new Date()) {
+    return { error: 'OTP_EXPIRED' };
+  }
+
+  // Count the attempt first so parallel guesses cannot exceed the cap
+  const { count } = await prisma.otpCode.updateMany({
+    where: {
+      id: latest.id,
+      consumedAt: null,
+      attempts: { lt: OTP_MAX_ATTEMPTS },
+    },
+    data: { attempts: { increment: 1 } },
+  });
+
+  if (count === 0) {
+    return { error: 'OTP_LOCKED', attemptsRemaining: 0 };
+  }
+
+  const expected = Buffer.from(latest.codeHash, 'hex');
+  const actual = Buffer.from(hashCode(destination, purpose, String(code)), 'hex');
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    return {
+      error: 'INVALID_OTP',
+      attemptsRemaining: Math.max(0, OTP_MAX_ATTEMPTS - (latest.attempts + 1)),
+    };
+  }
+
+  const consumed = await prisma.otpCode.updateMany({
+    where: { id: latest.id, consumedAt: null },
+    data: { consumedAt: new Date() },
+  });
+
+  if (consumed.count === 0) {
+    return { error: 'OTP_NOT_FOUND' };
+  }
+
+  return { verified: true };
+};
+
+module.exports = {
+  OTP_ERRORS,
+  sendOtp,
+  verifyOtp,
+};
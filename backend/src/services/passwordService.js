@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const prisma = require('../config/database');
+const { hashToken, revokeAllForUser } = require('./tokenService');
+const { sendMail } = require('./mail');
+const { getSmsProvider } = require('./sms');
+
+const PASSWORD_RESET_EXPIRY_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRY_MINUTES) || 30;
+const PASSWORD_RESET_URL = process.env.PASSWORD_RESET_URL || 'http://localhost:3000/reset-password';
+
+/**
+ * Hash and store a new password, then end every existing session.
+ * Access tokens issued before `passwordChangedAt` are rejected by `authenticate`.
+ */
+const setPassword = async (userId, newPassword, db = prisma) => {
+  const passwordHash = await bcrypt.hash(newPassword, 10);
+
+  await db.user.update({
+    where: { id: userId },
+    data: {
+      passwordHash,
+      passwordChangedAt: new Date(),
+    },
+  });
+
+  await revokeAllForUser(userId, db);
+};
+
+/**
+ * Create a single-use reset token for a user and deliver the reset link
+ * by email, or by SMS when the request was made with a phone number.
+ */
+const requestPasswordReset = async (user, { channel, ipAddress }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + PASSWORD_RESET_EXPIRY_MINUTES * 60 * 1000);
+
+  await prisma.$transaction([
+    // Only the latest link works
+    prisma.passwordResetToken.updateMany({
+      where: { userId: user.id, usedAt: null },
+      data: { usedAt: new Date() },
+    }),
+    prisma.passwordResetToken.create({
+      data: {
+        userId: user.id,
+        tokenHash: hashToken(token),
+        ipAddress: ipAddress || null,
+        expiresAt,
+      },
+    }),
+  ]);
+
+  const link = `${PASSWORD_RESET_URL}?token=${token}`;
+
+  if (channel === 'email' && user.email) {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your Safalya password',
+      text: `We received a request to reset your password.\n\n`
+        + `Open this link to choose a new password: ${link}\n\n`
+        + `The link expires in ${PASSWORD_RESET_EXPIRY_MINUTES} minutes and can be used once. `
+        + `If you did not request this, you can ignore this email.`,
+    });
+  } else {
+    await getSmsProvider().send(
+      user.phone,
+      `Reset your Safalya password: ${link} (valid for ${PASSWORD_RESET_EXPIRY_MINUTES} minutes)`
+    );
+  }
+
+  return { token, expiresAt };
+};
+
+/**
+ * Consume a reset token and set the new password.
+ * Returns { userId } or { error: 'INVALID_TOKEN' }.
+ */
+const resetPassword = async (token, newPassword) => {
+  const stored = await prisma.passwordResetToken.findUnique({
+    where: { tokenHash: hashToken(token) },
+  });
+
+  if (!stored || stored.usedAt || stored.expiresAt < new Date()) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  const used = await prisma.$transaction(async (tx) => {
+    // Claim the token; a concurrent reset with the same token loses here
+    const { count } = await tx.passwordResetToken.updateMany({
+      where: { id: stored.id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await setPassword(stored.userId, newPassword, tx);
+    return true;
+  });
+
+  if (!used) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  return { userId: stored.userId };
+};
+
+module.exports = {
+  setPassword,
+  requestPasswordReset,
+  resetPassword,
+};
@@ -0,0 +1,12 @@
+/**
+ * Console SMS provider - prints messages to stdout (development only)
+ */
+const send = async (phone, message) => {
+  console.log(`[SMS] To ${phone}: ${message}`);
+  return { provider: 'console' };
+};
+
+module.exports = {
+  name: 'console',
+  send,
+};
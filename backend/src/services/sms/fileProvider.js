@@ -0,0 +1,22 @@
+const fs = require('fs');
+const path = require('path');
+
+// Local stub: messages are appended as JSON lines to an outbox file
+const outboxFile = process.env.SMS_OUTBOX_FILE || './logs/sms-outbox.log';
+
+/**
+ * File SMS provider - appends messages to a local outbox file
+ */
+const send = async (phone, message) => {
+  await fs.promises.mkdir(path.dirname(outboxFile), { recursive: true });
+  await fs.promises.appendFile(
+    outboxFile,
+    `${JSON.stringify({ to: phone, message, sentAt: new Date().toISOString() })}\n`
+  );
+  return { provider: 'file' };
+};
+
+module.exports = {
+  name: 'file',
+  send,
+};
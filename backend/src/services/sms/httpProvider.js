@@ -0,0 +1,39 @@
+/**
+ * HTTP SMS gateway provider.
+ * POSTs { to, message, sender } as JSON to SMS_HTTP_URL with an optional
+ * bearer token. Most Indian SMS gateways accept this shape, or can be fronted
+ * by a small adapter that does.
+ */
+const SMS_HTTP_URL = process.env.SMS_HTTP_URL;
+const SMS_HTTP_API_KEY = process.env.SMS_HTTP_API_KEY;
+const SMS_SENDER_ID = process.env.SMS_SENDER_ID || 'SAFALY';
+const SMS_HTTP_TIMEOUT_MS = parseInt(process.env.SMS_HTTP_TIMEOUT_MS) || 10000;
+
+const send = async (phone, message) => {
+  if (!SMS_HTTP_URL) {
+    throw new Error('SMS_HTTP_URL is not configured');
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (SMS_HTTP_API_KEY) {
+    headers.Authorization = `Bearer ${SMS_HTTP_API_KEY}`;
+  }
+
+  const response = await fetch(SMS_HTTP_URL, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ to: phone, message, sender: SMS_SENDER_ID }),
+    signal: AbortSignal.timeout(SMS_HTTP_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`SMS gateway responded with status ${response.status}`);
+  }
+
+  return { provider: 'http' };
+};
+
+module.exports = {
+  name: 'http',
+  send,
+};
@@ -0,0 +1,28 @@
+const consoleProvider = require('./consoleProvider');
+const fileProvider = require('./fileProvider');
+const httpProvider = require('./httpProvider');
+
+/**
+ * SMS providers implement `send(phone, message)` and resolve once the
+ * message has been handed off. Select one with SMS_PROVIDER.
+ */
+const providers = {
+  [consoleProvider.name]: consoleProvider,
+  [fileProvider.name]: fileProvider,
+  [httpProvider.name]: httpProvider,
+};
+
+const providerName = process.env.SMS_PROVIDER || 'console';
+
+if (!providers[providerName]) {
+  throw new Error(`Unknown SMS_PROVIDER "${providerName}". Available: ${Object.keys(providers).join(', ')}`);
+}
+
+/**
+ * Get the configured SMS provider
+ */
+const getSmsProvider = () => providers[providerName];
+
+module.exports = {
+  getSmsProvider,
+};
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const { paginate } = require('../utils/pagination');
+const {
+  generateAccessToken,
+  generateRefreshToken,
+  verifyToken,
+  decodeToken,
+} = require('../config/jwt');
+
+// Last-seen is written at most this often so every request doesn't hit the sessions table
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+const PLATFORMS = ['android', 'ios', 'web'];
+
+/**
+ * Hash a refresh token for storage (raw tokens are never persisted)
+ */
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Guess the client platform from its user agent
+ */
+const detectPlatform = (userAgent) => {
+  if (!userAgent) {
+    return null;
+  }
+  if (/android/i.test(userAgent)) {
+    return 'android';
+  }
+  if (/iphone|ipad|ios|darwin/i.test(userAgent)) {
+    return 'ios';
+  }
+  if (/mozilla/i.test(userAgent)) {
+    return 'web';
+  }
+  return null;
+};
+
+/**
+ * Collect device/client details used to label a session
+ */
+const getClientContext = (req) => {
+  const userAgent = req.get('user-agent');
+  const platform = req.body?.platform;
+
+  return {
+    deviceId: req.body?.deviceId,
+    deviceName: req.body?.deviceName,
+    platform: PLATFORMS.includes(platform) ? platform : detectPlatform(userAgent),
+    userAgent,
+    ipAddress: req.ip,
+  };
+};
+
+/**
+ * Sign a refresh token for a session and store its hash
+ */
+const createRefreshToken = async (db, userId, sessionId) => {
+  const refreshToken = generateRefreshToken({
+    userId,
+    sessionId,
+    jti: crypto.randomUUID(),
+  });
+  const { exp } = decodeToken(refreshToken);
+  const expiresAt = new Date(exp * 1000);
+
+  const record = await db.refreshToken.create({
+    data: {
+      userId,
+      sessionId,
+      tokenHash: hashToken(refreshToken),
+      expiresAt,
+    },
+  });
+
+  return { refreshToken, record, expiresAt };
+};
+
+/**
+ * End a session and revoke its refresh tokens.
+ * Returns the number of sessions revoked (0 if not found or already ended).
+ */
+const revokeSession = async (sessionId, userId, db = prisma) => {
+  const where = { id: sessionId, revokedAt: null };
+  if (userId) {
+    where.userId = userId;
+  }
+
+  const { count } = await db.session.updateMany({
+    where,
+    data: { revokedAt: new Date() },
+  });
+
+  if (count > 0) {
+    await db.refreshToken.updateMany({
+      where: { sessionId, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+  }
+
+  return count;
+};
+
+/**
+ * Revoke every session of a user (e.g. after a password change),
+ * optionally keeping the caller's own session
+ */
+const revokeAllForUser = async (userId, db = prisma, { exceptSessionId } = {}) => {
+  const sessionWhere = { userId, revokedAt: null };
+  const tokenWhere = { userId, revokedAt: null };
+
+  if (exceptSessionId) {
+    sessionWhere.id = { not: exceptSessionId };
+    tokenWhere.sessionId = { not: exceptSessionId };
+  }
+
+  const { count } = await db.session.updateMany({
+    where: sessionWhere,
+    data: { revokedAt: new Date() },
+  });
+
+  await db.refreshToken.updateMany({
+    where: tokenWhere,
+    data: { revokedAt: new Date() },
+  });
+
+  return count;
+};
+
+/**
+ * Start a new session and issue its access/refresh token pair.
+ * Pass `secondFactor: true` when the login was confirmed with 2FA.
+ */
+const issueTokens = async (user, context = {}, { secondFactor = false } = {}) => {
+  return prisma.$transaction(async (tx) => {
+    // One active session per device: signing in again replaces the old one
+    if (context.deviceId) {
+      const previous = await tx.session.findMany({
+        where: {
+          userId: user.id,
+          deviceId: context.deviceId,
+          revokedAt: null,
+        },
+        select: { id: true },
+      });
+
+      for (const session of previous) {
+        await revokeSession(session.id, user.id, tx);
+      }
+    }
+
+    const session = await tx.session.create({
+      data: {
+        userId: user.id,
+        deviceId: context.deviceId || null,
+        deviceName: context.deviceName || null,
+        platform: context.platform || null,
+        userAgent: context.userAgent ? context.userAgent.substring(0, 255) : null,
+        ipAddress: context.ipAddress || null,
+        secondFactorAt: secondFactor ? new Date() : null,
+        // Set to the refresh token expiry below
+        expiresAt: new Date(),
+      },
+    });
+
+    const { refreshToken, expiresAt } = await createRefreshToken(tx, user.id, session.id);
+
+    await tx.session.update({
+      where: { id: session.id },
+      data: { expiresAt },
+    });
+
+    const token = generateAccessToken({ userId: user.id, role: user.role, sid: session.id });
+
+    return { token, refreshToken, sessionId: session.id };
+  });
+};
+
+/**
+ * Exchange a refresh token for a new pair, rotating the stored token.
+ * Presenting a token that was already rotated is treated as theft and
+ * ends the whole session.
+ *
+ * Returns { tokens, user } on success or { error } with one of
+ * INVALID_TOKEN, TOKEN_REUSED, ACCOUNT_DEACTIVATED.
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const decoded = verifyToken(refreshToken, 'refresh');
+
+  if (!decoded || !decoded.sessionId) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true, session: true },
+  });
+
+  if (!stored || stored.userId !== decoded.userId || stored.sessionId !== decoded.sessionId) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  if (stored.session.revokedAt) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  if (stored.revokedAt) {
+    if (stored.replacedById) {
+      await revokeSession(stored.sessionId);
+      return { error: 'TOKEN_REUSED' };
+    }
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  if (stored.expiresAt < new Date()) {
+    return { error: 'INVALID_TOKEN' };
+  }
+
+  if (!stored.user.isActive) {
+    await revokeSession(stored.sessionId);
+    return { error: 'ACCOUNT_DEACTIVATED' };
+  }
+
+  const tokens = await prisma.$transaction(async (tx) => {
+    // Claim the old token; a concurrent rotation of the same token loses here
+    const { count } = await tx.refreshToken.updateMany({
+      where: { id: stored.id, revokedAt: null },
+      data: { revokedAt: new Date() },
+    });
+
+    if (count === 0) {
+      return null;
+    }
+
+    const { refreshToken: nextRefreshToken, record, expiresAt } = await createRefreshToken(
+      tx,
+      stored.userId,
+      stored.sessionId
+    );
+
+    await tx.refreshToken.update({
+      where: { id: stored.id },
+      data: { replacedById: record.id },
+    });
+
+    await tx.session.update({
+      where: { id: stored.sessionId },
+      data: {
+        lastSeenAt: new Date(),
+        expiresAt,
+        userAgent: context.userAgent ? context.userAgent.substring(0, 255) : stored.session.userAgent,
+        ipAddress: context.ipAddress || stored.session.ipAddress,
+      },
+    });
+
+    return {
+      token: generateAccessToken({
+        userId: stored.user.id,
+        role: stored.user.role,
+        sid: stored.sessionId,
+      }),
+      refreshToken: nextRefreshToken,
+    };
+  });
+
+  if (!tokens) {
+    await revokeSession(stored.sessionId);
+    return { error: 'TOKEN_REUSED' };
+  }
+
+  return { tokens, user: stored.user };
+};
+
+/**
+ * Check that the session behind an access token is still active and
+ * record the activity. Returns false once the session has been signed
+ * out, revoked or has expired.
+ */
+const validateSession = async (sessionId, userId, ipAddress) => {
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: {
+      userId: true,
+      lastSeenAt: true,
+      expiresAt: true,
+      revokedAt: true,
+    },
+  });
+
+  if (!session || session.userId !== userId || session.revokedAt || session.expiresAt < new Date()) {
+    return false;
+  }
+
+  if (Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL_MS) {
+    await prisma.session.update({
+      where: { id: sessionId },
+      data: {
+        lastSeenAt: new Date(),
+        ...(ipAddress && { ipAddress }),
+      },
+    });
+  }
+
+  return true;
+};
+
+/**
+ * One page of a user's active sessions, most recently used first. `page`
+ * comes from getPageParams. Returns { items, pageInfo, total }.
+ */
+const listSessions = (userId, page) => {
+  return paginate(prisma.session, {
+    where: {
+      userId,
+      revokedAt: null,
+      expiresAt: { gt: new Date() },
+    },
+    orderBy: { lastSeenAt: 'desc' },
+    select: {
+      id: true,
+      deviceId: true,
+      deviceName: true,
+      platform: true,
+      userAgent: true,
+      ipAddress: true,
+      lastSeenAt: true,
+      expiresAt: true,
+      createdAt: true,
+    },
+  }, page);
+};
+
+/**
+ * Look up the session of a refresh token owned by the given user
+ */
+const findSessionId = async (refreshToken, userId) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    select: { sessionId: true, userId: true },
+  });
+
+  if (!stored || stored.userId !== userId) {
+    return null;
+  }
+
+  return stored.sessionId;
+};
+
+module.exports = {
+  hashToken,
+  getClientContext,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllForUser,
+  validateSession,
+  listSessions,
+  findSessionId,
+};
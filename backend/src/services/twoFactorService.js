@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+const prisma = require('../config/database');
+const totp = require('../utils/totp');
+const { hashToken } = require('./tokenService');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Safalya';
+const TWO_FACTOR_ENCRYPTION_KEY = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'two-factor-dev-secret';
+const TWO_FACTOR_RECOVERY_CODES = parseInt(process.env.TWO_FACTOR_RECOVERY_CODES) || 10;
+const TWO_FACTOR_FRESH_MINUTES = parseInt(process.env.TWO_FACTOR_FRESH_MINUTES) || 10;
+
+const ENCRYPTION_KEY = crypto.createHash('sha256').update(TWO_FACTOR_ENCRYPTION_KEY).digest();
+
+/**
+ * HTTP status and client-facing text for each two-factor error code
+ */
+const TWO_FACTOR_ERRORS = {
+  TWO_FACTOR_ALREADY_ENABLED: { status: 409, message: 'Two-factor authentication is already enabled.', details: 'Disable it first to enroll a new authenticator' },
+  TWO_FACTOR_NOT_SET_UP: { status: 400, message: 'Two-factor setup has not been started.', details: 'Call /api/user/2fa/setup first' },
+  TWO_FACTOR_NOT_ENABLED: { status: 400, message: 'Two-factor authentication is not enabled.', details: 'Enable it via /api/user/2fa/setup' },
+  INVALID_2FA_CODE: { status: 401, message: 'Invalid authentication code.', details: 'The authenticator or recovery code is incorrect or was already used' },
+};
+
+/**
+ * Encrypt a TOTP secret for storage (AES-256-GCM, "iv.tag.ciphertext")
+ */
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ */
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Normalize a recovery code as typed by the user
+ */
+const normalizeRecoveryCode = (code) => {
+  return String(code || '').toLowerCase().replace(/[^0-9a-f]/g, '');
+};
+
+/**
+ * Replace a user's recovery codes with a fresh set. Returns the raw codes,
+ * which are shown once and only stored hashed.
+ */
+const createRecoveryCodes = async (userId, db = prisma) => {
+  const codes = Array.from({ length: TWO_FACTOR_RECOVERY_CODES }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  await db.twoFactorRecoveryCode.deleteMany({ where: { userId } });
+  await db.twoFactorRecoveryCode.createMany({
+    data: codes.map(code => ({
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+    })),
+  });
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code for a user. A code (time step) is accepted only once,
+ * so an intercepted code cannot be replayed within its validity window.
+ */
+const checkTotp = async (user, code) => {
+  const step = totp.verifyCode(decryptSecret(user.twoFactorSecret), code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastStep: null },
+        { twoFactorLastStep: { lt: step } },
+      ],
+    },
+    data: { twoFactorLastStep: step },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Consume an unused recovery code
+ */
+const useRecoveryCode = async (userId, code) => {
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: {
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code)),
+      usedAt: null,
+    },
+    data: { usedAt: new Date() },
+  });
+
+  return count > 0;
+};
+
+/**
+ * Count a user's unused recovery codes
+ */
+const countRecoveryCodes = (userId) => {
+  return prisma.twoFactorRecoveryCode.count({
+    where: { userId, usedAt: null },
+  });
+};
+
+/**
+ * Get a user's two-factor status
+ */
+const getStatus = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorEnabledAt: true },
+  });
+
+  return {
+    enabled: Boolean(user.twoFactorEnabledAt),
+    enabledAt: user.twoFactorEnabledAt,
+    recoveryCodesRemaining: user.twoFactorEnabledAt ? await countRecoveryCodes(userId) : 0,
+  };
+};
+
+/**
+ * Start enrollment: generate a new secret and keep it pending until a code
+ * from the authenticator app confirms it.
+ * Returns { secret, otpauthUrl } or { error: 'TWO_FACTOR_ALREADY_ENABLED' }.
+ */
+const startSetup = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { email: true, phone: true, twoFactorEnabledAt: true },
+  });
+
+  if (user.twoFactorEnabledAt) {
+    return { error: 'TWO_FACTOR_ALREADY_ENABLED' };
+  }
+
+  const secret = totp.generateSecret();
+
+  await prisma.user.update({
+    where: { id: userId },
+    data: {
+      twoFactorSecret: encryptSecret(secret),
+      twoFactorLastStep: null,
+    },
+  });
+
+  return {
+    secret,
+    otpauthUrl: totp.buildOtpAuthUrl({
+      secret,
+      issuer: TWO_FACTOR_ISSUER,
+      accountName: user.email || user.phone,
+    }),
+  };
+};
+
+/**
+ * Finish enrollment with a code from the authenticator app.
+ * Returns { recoveryCodes } or { error } with one of
+ * TWO_FACTOR_ALREADY_ENABLED, TWO_FACTOR_NOT_SET_UP, INVALID_2FA_CODE.
+ */
+const enable = async (userId, code) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, twoFactorSecret: true, twoFactorEnabledAt: true },
+  });
+
+  if (user.twoFactorEnabledAt) {
+    return { error: 'TWO_FACTOR_ALREADY_ENABLED' };
+  }
+
+  if (!user.twoFactorSecret) {
+    return { error: 'TWO_FACTOR_NOT_SET_UP' };
+  }
+
+  if (!(await checkTotp(user, code))) {
+    return { error: 'INVALID_2FA_CODE' };
+  }
+
+  const recoveryCodes = await prisma.$transaction(async (tx) => {
+    await tx.user.update({
+      where: { id: userId },
+      data: { twoFactorEnabledAt: new Date() },
+    });
+
+    return createRecoveryCodes(userId, tx);
+  });
+
+  return { recoveryCodes };
+};
+
+/**
+ * Verify a second factor: an authenticator `code` or a single-use `recoveryCode`.
+ * Returns { verified: true, method, recoveryCodesRemaining? } or { error } with
+ * TWO_FACTOR_NOT_ENABLED or INVALID_2FA_CODE.
+ */
+const verify = async (userId, { code, recoveryCode }) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, twoFactorSecret: true, twoFactorEnabledAt: true },
+  });
+
+  if (!user || !user.twoFactorEnabledAt) {
+    return { error: 'TWO_FACTOR_NOT_ENABLED' };
+  }
+
+  if (code && await checkTotp(user, code)) {
+    return { verified: true, method: 'totp' };
+  }
+
+  if (!code && recoveryCode && await useRecoveryCode(userId, recoveryCode)) {
+    return {
+      verified: true,
+      method: 'recovery_code',
+      recoveryCodesRemaining: await countRecoveryCodes(userId),
+    };
+  }
+
+  return { error: 'INVALID_2FA_CODE' };
+};
+
+/**
+ * Turn two-factor authentication off after verifying a second factor
+ */
+const disable = async (userId, factor) => {
+  const result = await verify(userId, factor);
+
+  if (result.error) {
+    return result;
+  }
+
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.user.update({
+      where: { id: userId },
+      data: {
+        twoFactorSecret: null,
+        twoFactorEnabledAt: null,
+        twoFactorLastStep: null,
+      },
+    }),
+  ]);
+
+  return { disabled: true };
+};
+
+/**
+ * Issue a new set of recovery codes after verifying a second factor
+ */
+const regenerateRecoveryCodes = async (userId, factor) => {
+  const result = await verify(userId, factor);
+
+  if (result.error) {
+    return result;
+  }
+
+  return { recoveryCodes: await createRecoveryCodes(userId) };
+};
+
+/**
+ * Record that the second factor was just confirmed on a session
+ */
+const markSessionVerified = (sessionId) => {
+  return prisma.session.update({
+    where: { id: sessionId },
+    data: { secondFactorAt: new Date() },
+  });
+};
+
+/**
+ * Whether a session may perform a sensitive action: always for users without
+ * 2FA, otherwise only within TWO_FACTOR_FRESH_MINUTES of confirming a code
+ */
+const hasFreshSecondFactor = async (userId, sessionId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: { twoFactorEnabledAt: true },
+  });
+
+  if (!user.twoFactorEnabledAt) {
+    return true;
+  }
+
+  const session = await prisma.session.findUnique({
+    where: { id: sessionId },
+    select: { secondFactorAt: true },
+  });
+
+  return Boolean(session && session.secondFactorAt)
+    && Date.now() - session.secondFactorAt.getTime() < TWO_FACTOR_FRESH_MINUTES * 60 * 1000;
+};
+
+module.exports = {
+  TWO_FACTOR_ERRORS,
+  getStatus,
+  startSetup,
+  enable,
+  verify,
+  disable,
+  regenerateRecoveryCodes,
+  markSessionVerified,
+  hasFreshSecondFactor,
+};
@@ -0,0 +1,132 @@
+const prisma = require('../config/database');
+const otpService = require('./otpService');
+
+/**
+ * Verifiable contact channels: the user field holding the address, the
+ * timestamp set once it is confirmed, and the OTP delivery channel
+ */
+const CHANNELS = {
+  email: { field: 'email', verifiedAtField: 'emailVerifiedAt', otpChannel: 'email' },
+  phone: { field: 'phone', verifiedAtField: 'phoneVerifiedAt', otpChannel: 'sms' },
+};
+
+const verificationSelect = {
+  id: true,
+  email: true,
+  phone: true,
+  isVerified: true,
+  emailVerifiedAt: true,
+  phoneVerifiedAt: true,
+};
+
+/**
+ * A user is verified once both email and phone are confirmed
+ */
+const computeIsVerified = (user) => {
+  return Boolean(user.emailVerifiedAt && user.phoneVerifiedAt);
+};
+
+/**
+ * Mark a channel as verified and recompute `isVerified`
+ */
+const markVerified = async (userId, channel, db = prisma) => {
+  const { verifiedAtField } = CHANNELS[channel];
+
+  const user = await db.user.update({
+    where: { id: userId },
+    data: { [verifiedAtField]: new Date() },
+    select: verificationSelect,
+  });
+
+  const isVerified = computeIsVerified(user);
+  if (isVerified === user.isVerified) {
+    return user;
+  }
+
+  return db.user.update({
+    where: { id: userId },
+    data: { isVerified },
+    select: verificationSelect,
+  });
+};
+
+/**
+ * Send a verification code to the user's email or phone.
+ * Returns the OTP service result, or { error } with NO_DESTINATION or ALREADY_VERIFIED.
+ */
+const sendVerificationCode = async (userId, channel, ipAddress) => {
+  const { field, verifiedAtField, otpChannel } = CHANNELS[channel];
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: verificationSelect,
+  });
+
+  if (!user[field]) {
+    return { error: 'NO_DESTINATION' };
+  }
+
+  if (user[verifiedAtField]) {
+    return { error: 'ALREADY_VERIFIED' };
+  }
+
+  return otpService.sendOtp({
+    destination: user[field],
+    channel: otpChannel,
+    purpose: `verify_${channel}`,
+    ipAddress,
+  });
+};
+
+/**
+ * Confirm a verification code for the user's current email or phone.
+ * Returns { user } or the OTP service error.
+ */
+const confirmVerificationCode = async (userId, channel, code) => {
+  const { field } = CHANNELS[channel];
+
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    select: verificationSelect,
+  });
+
+  if (!user[field]) {
+    return { error: 'NO_DESTINATION' };
+  }
+
+  const result = await otpService.verifyOtp({
+    destination: user[field],
+    code,
+    purpose: `verify_${channel}`,
+  });
+
+  if (result.error) {
+    return result;
+  }
+
+  return { user: await markVerified(userId, channel) };
+};
+
+/**
+ * Fields to clear when a profile update changes email and/or phone
+ */
+const resetForChangedContacts = (changed) => {
+  const data = {};
+
+  Object.keys(CHANNELS).forEach((channel) => {
+    if (changed[channel]) {
+      data[CHANNELS[channel].verifiedAtField] = null;
+      data.isVerified = false;
+    }
+  });
+
+  return data;
+};
+
+module.exports = {
+  CHANNELS,
+  markVerified,
+  sendVerificationCode,
+  confirmVerificationCode,
+  resetForChangedContacts,
+};
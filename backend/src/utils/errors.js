@@ -0,0 +1,17 @@
+/**
+ * Error carrying an HTTP status and API error code, formatted by errorHandler.
+ * Throwing it inside a Prisma interactive transaction also rolls it back.
+ */
+class ApiError extends Error {
+  constructor(statusCode, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = {
+  ApiError,
+};
@@ -0,0 +1,192 @@
+const { ApiError } = require('./errors');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_PAGE_SIZE) || 100;
+
+/**
+ * Opaque cursor pointing at a row
+ */
+const encodeCursor = (id) => {
+  return Buffer.from(JSON.stringify({ id })).toString('base64url');
+};
+
+/**
+ * Row id from a cursor. Throws 400 INVALID_CURSOR for anything we did not issue.
+ */
+const decodeCursor = (cursor) => {
+  let decoded = null;
+
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    decoded = null;
+  }
+
+  if (!decoded || typeof decoded.id !== 'string' || decoded.id.length === 0) {
+    throw new ApiError(400, 'INVALID_CURSOR', 'Invalid cursor.', 'Use the nextCursor or prevCursor of a previous page');
+  }
+
+  return decoded.id;
+};
+
+/**
+ * Read the page parameters of a list request: `limit` (1 to MAX_PAGE_SIZE),
+ * `after` (next page) or `before` (previous page) cursor, and
+ * `includeTotal=true` to also count all matching items. Throws 400 on
+ * invalid values.
+ */
+const getPageParams = (query, defaultLimit = DEFAULT_PAGE_SIZE) => {
+  const { limit, after, before, includeTotal } = query;
+  const size = limit === undefined ? defaultLimit : Number(limit);
+
+  if (!Number.isInteger(size) || size < 1 || size > MAX_PAGE_SIZE) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+
+  if (after !== undefined && before !== undefined) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Validation failed.', 'Use either after or before, not both');
+  }
+
+  return {
+    limit: size,
+    after: after !== undefined ? decodeCursor(String(after)) : null,
+    before: before !== undefined ? decodeCursor(String(before)) : null,
+    includeTotal: includeTotal === 'true',
+  };
+};
+
+/**
+ * Where a page sits in the full list
+ */
+const toPageInfo = (items, hasNext, hasPrevious) => {
+  return {
+    hasNext,
+    hasPrevious,
+    startId: items.length > 0 ? items[0].id : null,
+    endId: items.length > 0 ? items[items.length - 1].id : null,
+  };
+};
+
+/**
+ * Fetch one page of `delegate.findMany` (e.g. prisma.contract) using keyset
+ * (cursor) pagination. `id` is appended to `orderBy` so the order is stable.
+ * One extra row is fetched to tell whether there is a further page.
+ *
+ * Returns { items, pageInfo, total }; `total` only with includeTotal.
+ */
+const paginate = async (delegate, { where, orderBy, ...args }, params) => {
+  const { limit, after, before, includeTotal } = params;
+  const cursorId = after || before;
+  const order = [].concat(orderBy || []);
+
+  if (!order.some(entry => entry.id)) {
+    order.push({ id: 'asc' });
+  }
+
+  const [rows, total] = await Promise.all([
+    delegate.findMany({
+      ...args,
+      where,
+      orderBy: order,
+      // A negative take reads backwards from the cursor
+      take: before ? -(limit + 1) : limit + 1,
+      ...(cursorId ? { cursor: { id: cursorId }, skip: 1 } : {}),
+    }),
+    includeTotal ? delegate.count({ where }) : undefined,
+  ]);
+
+  const hasMore = rows.length > limit;
+  let items;
+  let pageInfo;
+
+  if (before) {
+    items = hasMore ? rows.slice(1) : rows;
+    pageInfo = toPageInfo(items, true, hasMore);
+  } else {
+    items = rows.slice(0, limit);
+    pageInfo = toPageInfo(items, hasMore, Boolean(after));
+  }
+
+  return { items, pageInfo, total };
+};
+
+/**
+ * One page of an already ordered list of ids, for orders computed outside
+ * the database query (e.g. search relevance). Throws 400 INVALID_CURSOR if
+ * the cursor's item is no longer in the list.
+ *
+ * Returns { ids, pageInfo, total }; `total` only with includeTotal.
+ */
+const paginateIds = (ids, params) => {
+  const { limit, after, before, includeTotal } = params;
+  const cursorId = after || before;
+  const position = cursorId ? ids.indexOf(cursorId) : -1;
+
+  if (cursorId && position === -1) {
+    throw new ApiError(400, 'INVALID_CURSOR', 'Invalid cursor.', 'The results have changed; start again from the first page');
+  }
+
+  const start = before ? Math.max(position - limit, 0) : position + 1;
+  const end = before ? position : start + limit;
+  const pageIds = ids.slice(start, end);
+
+  return {
+    ids: pageIds,
+    pageInfo: toPageInfo(pageIds.map(id => ({ id })), end < ids.length, start > 0),
+    total: includeTotal ? ids.length : undefined,
+  };
+};
+
+/**
+ * Link to the same request with the given cursor parameter
+ */
+const buildLink = (req, param, id) => {
+  const url = new URL(req.originalUrl, 'http://localhost');
+
+  url.searchParams.delete('after');
+  url.searchParams.delete('before');
+  url.searchParams.set(param, encodeCursor(id));
+
+  return `${url.pathname}${url.search}`;
+};
+
+/**
+ * Build the pagination block returned with list responses: the page size,
+ * cursors and links for the next and previous pages (null at either end),
+ * and `totalItems` when it was requested
+ */
+const buildPagination = (req, params, { pageInfo, total }) => {
+  const { hasNext, hasPrevious, startId, endId } = pageInfo;
+  const pagination = {
+    limit: params.limit,
+    hasNext: hasNext && Boolean(endId),
+    hasPrevious: hasPrevious && Boolean(startId),
+    nextCursor: null,
+    prevCursor: null,
+    next: null,
+    prev: null,
+  };
+
+  if (pagination.hasNext) {
+    pagination.nextCursor = encodeCursor(endId);
+    pagination.next = buildLink(req, 'after', endId);
+  }
+
+  if (pagination.hasPrevious) {
+    pagination.prevCursor = encodeCursor(startId);
+    pagination.prev = buildLink(req, 'before', startId);
+  }
+
+  if (total !== undefined) {
+    pagination.totalItems = total;
+  }
+
+  return pagination;
+};
+
+module.exports = {
+  getPageParams,
+  paginate,
+  paginateIds,
+  buildPagination,
+};
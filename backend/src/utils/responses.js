@@ -0,0 +1,69 @@
+const { OTP_ERRORS } = require('../services/otpService');
+const { TWO_FACTOR_ERRORS } = require('../services/twoFactorService');
+const { OFFER_ERRORS } = require('../services/offerService');
+
+/**
+ * Send an OTP service error response
+ */
+const sendOtpError = (res, result) => {
+  const { status, message, details } = OTP_ERRORS[result.error];
+  const data = {};
+
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+    data.retryAfter = result.retryAfter;
+  }
+
+  if (result.attemptsRemaining !== undefined) {
+    data.attemptsRemaining = result.attemptsRemaining;
+  }
+
+  return res.status(status).json({
+    success: false,
+    message,
+    data: Object.keys(data).length > 0 ? data : null,
+    error: {
+      code: result.error,
+      details,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Send an error response for a code from a service's error table
+ */
+const sendMappedError = (res, errors, code) => {
+  const { status, message, details } = errors[code];
+
+  return res.status(status).json({
+    success: false,
+    message,
+    data: null,
+    error: {
+      code,
+      details,
+    },
+    timestamp: new Date().toISOString(),
+  });
+};
+
+/**
+ * Send a two-factor service error response
+ */
+const sendTwoFactorError = (res, result) => {
+  return sendMappedError(res, TWO_FACTOR_ERRORS, result.error);
+};
+
+/**
+ * Send an offer service error response
+ */
+const sendOfferError = (res, result) => {
+  return sendMappedError(res, OFFER_ERRORS, result.error);
+};
+
+module.exports = {
+  sendOtpError,
+  sendTwoFactorError,
+  sendOfferError,
+};
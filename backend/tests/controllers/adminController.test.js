@@ -0,0 +1,71 @@
+const { Prisma } = require('@prisma/client');
+const adminController = require('../../src/controllers/adminController');
+const { callController } = require('../helpers/http');
+const { prisma, describeWithDatabase, resetDatabase, createUser, createListing, createContract } = require('../helpers/database');
+
+describeWithDatabase('adminController.cancelContract', () => {
+  let admin;
+  let listing;
+  let contract;
+
+  beforeEach(async () => {
+    await resetDatabase();
+
+    const [farmer, buyer] = await Promise.all([createUser('farmer'), createUser('buyer')]);
+
+    admin = await createUser('admin');
+    listing = await createListing(farmer, { quantity: 100, availableQuantity: 40 });
+    contract = await createContract(listing, buyer, { quantity: 60, status: 'dispatched' });
+
+    await prisma.deliveryTranche.createMany({
+      data: [1, 2].map(sequence => ({
+        contractId: contract.id,
+        sequence,
+        scheduledDate: new Date(Date.UTC(2026, 5, sequence)),
+        quantity: 30,
+        status: 'dispatched',
+      })),
+    });
+  });
+
+  afterAll(() => prisma.$disconnect());
+
+  const cancel = () => callController(adminController.cancelContract, {
+    user: admin,
+    params: { id: contract.id },
+    body: { reason: 'Buyer reported fraud' },
+  });
+
+  const reload = async () => ({
+    contract: await prisma.contract.findUnique({ where: { id: contract.id } }),
+    listing: await prisma.contractListing.findUnique({ where: { id: listing.id } }),
+  });
+
+  it('refuses once a tranche has been received, leaving the listing alone', async () => {
+    await prisma.deliveryTranche.updateMany({
+      where: { contractId: contract.id, sequence: 1 },
+      data: { status: 'received', receivedAt: new Date(), acceptedQuantity: 30, settledAmount: 60000 },
+    });
+
+    const { status, body } = await cancel();
+
+    expect(status).toBe(409);
+    expect(body.error.code).toBe('TRANCHES_RECEIVED');
+
+    const after = await reload();
+
+    expect(after.contract.status).toBe('dispatched');
+    expect(after.listing.availableQuantity).toEqual(new Prisma.Decimal(40));
+  });
+
+  it('cancels a dispatched contract with nothing received and releases its quantity', async () => {
+    const { status } = await cancel();
+
+    expect(status).toBe(200);
+
+    const after = await reload();
+
+    expect(after.contract.status).toBe('cancelled');
+    expect(after.listing.availableQuantity).toEqual(new Prisma.Decimal(100));
+  });
+});
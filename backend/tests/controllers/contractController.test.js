@@ -0,0 +1,47 @@
+const contractController = require('../../src/controllers/contractController');
+const { callController } = require('../helpers/http');
+const { prisma, describeWithDatabase, resetDatabase, createUser, createListing, createContract } = require('../helpers/database');
+
+describeWithDatabase('contractController.receiveContract', () => {
+  let farmer;
+  let buyer;
+  let contract;
+
+  beforeEach(async () => {
+    await resetDatabase();
+
+    [farmer, buyer] = await Promise.all([createUser('farmer'), createUser('buyer')]);
+
+    const listing = await createListing(farmer, { quantity: 100, availableQuantity: 90 });
+
+    contract = await createContract(listing, buyer, { quantity: 10, status: 'dispatched', dispatchedAt: new Date() });
+  });
+
+  afterAll(() => prisma.$disconnect());
+
+  const receive = (user) => callController(contractController.receiveContract, {
+    user,
+    params: { id: contract.id },
+  });
+
+  const ledger = () => prisma.transaction.findMany({ where: { referenceId: contract.id } });
+
+  it('completes the contract once, however many receipts race', async () => {
+    const results = await Promise.all([receive(buyer), receive(buyer), receive(buyer)]);
+
+    expect(results.map(({ status }) => status)).toEqual([200, 200, 200]);
+    expect(results.filter(({ body }) => body.message === 'Contract already completed.')).toHaveLength(2);
+    expect(results.every(({ body }) => body.data.status === 'completed')).toBe(true);
+    expect(await ledger()).toHaveLength(2);
+  });
+
+  it('lets only the buyer confirm receipt, even of a completed contract', async () => {
+    expect((await receive(farmer)).status).toBe(403);
+    expect((await receive(buyer)).status).toBe(200);
+
+    const { status, body } = await receive(farmer);
+
+    expect(status).toBe(403);
+    expect(body).toMatchObject({ success: false, data: null, error: { code: 'FORBIDDEN' } });
+  });
+});
@@ -0,0 +1,47 @@
+const listingController = require('../../src/controllers/listingController');
+const { callController } = require('../helpers/http');
+const { prisma, describeWithDatabase, resetDatabase, createUser, createListing } = require('../helpers/database');
+
+describeWithDatabase('listingController.updateListing', () => {
+  let farmer;
+  let listing;
+
+  beforeEach(async () => {
+    await resetDatabase();
+
+    farmer = await createUser('farmer');
+    listing = await createListing(farmer);
+  });
+
+  afterAll(() => prisma.$disconnect());
+
+  const saveLocation = (user, city) => prisma.userLocation.create({ data: { userId: user.id, city } });
+
+  const update = (body) => callController(listingController.updateListing, {
+    user: farmer,
+    params: { id: listing.id },
+    body,
+  });
+
+  it('moves the listing to one of the farmer\'s own locations', async () => {
+    const location = await saveLocation(farmer, 'Nashik');
+
+    const { status, body } = await update({ locationId: location.id });
+
+    expect(status).toBe(200);
+    expect(body.data.locationId).toBe(location.id);
+  });
+
+  it('refuses another user\'s location', async () => {
+    const other = await saveLocation(await createUser('farmer'), 'Indore');
+
+    const { status, body } = await update({ locationId: other.id, description: 'Fresh stock' });
+
+    expect(status).toBe(400);
+    expect(body.error.code).toBe('UNKNOWN_LOCATION');
+
+    const after = await prisma.contractListing.findUnique({ where: { id: listing.id } });
+
+    expect(after).toMatchObject({ locationId: null, description: null });
+  });
+});
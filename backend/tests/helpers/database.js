@@ -0,0 +1,79 @@
+const prisma = require('../../src/config/database');
+
+// Tests that need PostgreSQL run only when TEST_DATABASE_URL points at a
+// migrated, disposable database. Its tables are emptied before each test.
+const describeWithDatabase = process.env.TEST_DATABASE_URL ? describe : describe.skip;
+
+/**
+ * Empty every table of the test database
+ */
+const resetDatabase = async () => {
+  const tables = await prisma.$queryRaw`
+    SELECT tablename::text AS tablename FROM pg_tables
+    WHERE schemaname = current_schema() AND tablename <> '_prisma_migrations'
+  `;
+
+  await prisma.$executeRawUnsafe(`TRUNCATE TABLE ${tables.map(({ tablename }) => `"${tablename}"`).join(', ')} CASCADE`);
+};
+
+let phoneSequence = 0;
+
+/**
+ * A user with a complete profile
+ */
+const createUser = (role) => {
+  phoneSequence += 1;
+
+  return prisma.user.create({
+    data: {
+      fullName: `Test ${role}`,
+      phone: `9${String(phoneSequence).padStart(9, '0')}`,
+      role,
+    },
+  });
+};
+
+/**
+ * An active listing of `quantity` (default 100), all of it available
+ */
+const createListing = (farmer, { quantity = 100, ...data } = {}) => {
+  return prisma.contractListing.create({
+    data: {
+      farmerId: farmer.id,
+      cropType: 'Wheat',
+      quantity,
+      availableQuantity: quantity,
+      unit: 'quintal',
+      expectedPrice: 2000,
+      ...data,
+    },
+  });
+};
+
+/**
+ * A contract between the listing's farmer and `buyer`, requested unless
+ * `status` says otherwise
+ */
+const createContract = (listing, buyer, { quantity = 10, agreedPrice = 2000, ...data } = {}) => {
+  return prisma.contract.create({
+    data: {
+      listingId: listing.id,
+      farmerId: listing.farmerId,
+      buyerId: buyer.id,
+      cropType: listing.cropType,
+      quantity,
+      agreedPrice,
+      totalAmount: quantity * agreedPrice,
+      ...data,
+    },
+  });
+};
+
+module.exports = {
+  prisma,
+  describeWithDatabase,
+  resetDatabase,
+  createUser,
+  createListing,
+  createContract,
+};
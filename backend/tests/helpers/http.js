@@ -0,0 +1,50 @@
+const { errorHandler } = require('../../src/middleware/errorHandler');
+
+/**
+ * Call a controller with a minimal request. Errors passed to next() are
+ * rendered by the app's error handler. Resolves to { status, body, headers }.
+ */
+const callController = (handler, { user, params = {}, body = {}, query = {}, url = '/' } = {}) => {
+  return new Promise((resolve, reject) => {
+    const headers = {};
+    const req = {
+      user,
+      params,
+      body,
+      query,
+      originalUrl: url,
+      ip: '127.0.0.1',
+      get: () => undefined,
+    };
+    const res = {
+      req,
+      statusCode: 200,
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      set(name, value) {
+        headers[name] = value;
+        return this;
+      },
+      json(payload) {
+        resolve({ status: this.statusCode, body: payload, headers });
+        return this;
+      },
+    };
+
+    const next = (error) => {
+      if (!error) {
+        reject(new Error('Controller called next() without an error'));
+        return;
+      }
+      errorHandler(error, req, res, next);
+    };
+
+    Promise.resolve(handler(req, res, next)).catch(reject);
+  });
+};
+
+module.exports = {
+  callController,
+};
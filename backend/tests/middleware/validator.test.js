@@ -0,0 +1,76 @@
+const fs = require('fs');
+const path = require('path');
+const { validateReceipt, validateListingUpdate, validateListingSearch } = require('../../src/middleware/validator');
+
+/**
+ * Run a validator on the query and body. Resolves to the 400 body, or null
+ * when it lets the request through.
+ */
+const validate = (validator, query, body) => {
+  return new Promise((resolve) => {
+    const req = { query, body };
+    const res = {
+      req,
+      status: () => res,
+      json: resolve,
+    };
+
+    validator(req, res, () => resolve(null));
+  });
+};
+
+describe('validateReceipt', () => {
+  it('deletes the uploaded files of a rejected request', async () => {
+    const filename = `validator-test-${Date.now()}.pdf`;
+    const file = path.join(process.env.UPLOAD_DIR || './uploads', filename);
+
+    fs.writeFileSync(file, 'proof');
+
+    const req = { body: { acceptedQuantity: '-1' }, files: [{ filename }] };
+    const res = {
+      req,
+      status: () => res,
+      json: body => body,
+    };
+
+    const body = await validateReceipt(req, res, () => {});
+
+    expect(body.error.code).toBe('VALIDATION_ERROR');
+    expect(fs.existsSync(file)).toBe(false);
+  });
+});
+
+describe('validateListingUpdate', () => {
+  it('accepts text, or null to clear, for the description and location', async () => {
+    expect(await validate(validateListingUpdate, {}, { description: 'Sortex cleaned', locationId: 'location-1' })).toBeNull();
+    expect(await validate(validateListingUpdate, {}, { description: null, locationId: null })).toBeNull();
+  });
+
+  it('rejects a description or location that is not text', async () => {
+    const body = await validate(validateListingUpdate, {}, { description: { html: '<b>' }, locationId: ['location-1'] });
+
+    expect(body.error.details).toBe('Description must be text; Location id must be text');
+  });
+});
+
+describe('validateListingSearch', () => {
+  it('accepts single text filters', async () => {
+    expect(await validate(validateListingSearch, { crop: 'wheat', unit: ' kg ', location: 'Pune' })).toBeNull();
+  });
+
+  it('rejects repeated, blank or overlong text filters', async () => {
+    for (const query of [
+      { crop: ['wheat', 'rice'] },
+      { unit: ['kg'] },
+      { location: { city: 'Pune' } },
+      { crop: '   ' },
+      { location: '' },
+      { unit: 'k'.repeat(101) },
+    ]) {
+      const body = await validate(validateListingSearch, query);
+
+      expect(body).toMatchObject({ success: false, error: { code: 'VALIDATION_ERROR' } });
+      expect(body.error.details).toContain(`${Object.keys(query)[0]} must be a single value`);
+    }
+  });
+});
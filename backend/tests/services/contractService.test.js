@@ -0,0 +1,45 @@
+const { recordSettlement } = require('../../src/services/contractService');
+const { prisma, describeWithDatabase, resetDatabase, createUser, createListing, createContract } = require('../helpers/database');
+
+describeWithDatabase('recordSettlement', () => {
+  let contract;
+
+  beforeEach(async () => {
+    await resetDatabase();
+
+    const [farmer, buyer] = await Promise.all([createUser('farmer'), createUser('buyer')]);
+    const listing = await createListing(farmer);
+
+    contract = await createContract(listing, buyer, {
+      quantity: 10,
+      agreedPrice: 2000,
+      status: 'completed',
+      acceptedQuantity: 8,
+      settledAmount: 16000,
+    });
+  });
+
+  afterAll(() => prisma.$disconnect());
+
+  const ledger = () => prisma.transaction.findMany({
+    where: { referenceId: contract.id },
+    orderBy: { type: 'asc' },
+  });
+
+  it('books the settled amount as farmer income and buyer expense', async () => {
+    await prisma.$transaction(tx => recordSettlement(tx, contract));
+
+    expect(await ledger()).toEqual([
+      expect.objectContaining({ userId: contract.farmerId, type: 'income', idempotencyKey: `contract:${contract.id}:income` }),
+      expect.objectContaining({ userId: contract.buyerId, type: 'expense', idempotencyKey: `contract:${contract.id}:expense` }),
+    ]);
+    expect((await ledger()).map(entry => Number(entry.amount))).toEqual([16000, 16000]);
+  });
+
+  it('books a contract once however often it is settled', async () => {
+    await prisma.$transaction(tx => recordSettlement(tx, contract));
+    await Promise.all([1, 2, 3].map(() => prisma.$transaction(tx => recordSettlement(tx, contract))));
+
+    expect(await ledger()).toHaveLength(2);
+  });
+});
@@ -0,0 +1,157 @@
+const {
+  TRANSITIONS,
+  CONTRACT_STATUSES,
+  getActorRole,
+  assertTransition,
+  applyTransition,
+  getAvailableActions,
+} = require('../../src/services/contractStateMachine');
+const { prisma, describeWithDatabase, resetDatabase, createUser, createListing, createContract } = require('../helpers/database');
+
+const contract = (status) => ({ id: 'contract-1', farmerId: 'farmer-1', buyerId: 'buyer-1', status });
+
+describe('getActorRole', () => {
+  it('names the party, then falls back to admin', () => {
+    expect(getActorRole(contract('accepted'), { id: 'farmer-1', role: 'farmer' })).toBe('farmer');
+    expect(getActorRole(contract('accepted'), { id: 'buyer-1', role: 'buyer' })).toBe('buyer');
+    expect(getActorRole(contract('accepted'), { id: 'admin-1', role: 'admin' })).toBe('admin');
+    expect(getActorRole(contract('accepted'), { id: 'buyer-2', role: 'buyer' })).toBeNull();
+  });
+});
+
+describe('assertTransition', () => {
+  it('allows every listed status and actor', () => {
+    for (const [action, { from, actors, requires }] of Object.entries(TRANSITIONS)) {
+      const payload = Object.fromEntries(requires.map(field => [field, 'x']));
+
+      for (const status of from) {
+        for (const actor of actors) {
+          expect(assertTransition(contract(status), action, actor, payload).to).toBe(TRANSITIONS[action].to);
+        }
+      }
+    }
+  });
+
+  it('rejects every other status with 409 INVALID_TRANSITION', () => {
+    for (const [action, { from, actors, requires }] of Object.entries(TRANSITIONS)) {
+      const payload = Object.fromEntries(requires.map(field => [field, 'x']));
+
+      for (const status of CONTRACT_STATUSES.filter(entry => !from.includes(entry))) {
+        expect(() => assertTransition(contract(status), action, actors[0], payload))
+          .toThrow(expect.objectContaining({ statusCode: 409, code: 'INVALID_TRANSITION' }));
+      }
+    }
+  });
+
+  it('rejects actors the action does not allow with 403', () => {
+    expect(() => assertTransition(contract('requested'), 'accept', 'buyer'))
+      .toThrow(expect.objectContaining({ statusCode: 403, code: 'FORBIDDEN' }));
+    expect(() => assertTransition(contract('dispatched'), 'receive', 'farmer'))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+    expect(() => assertTransition(contract('delivered'), 'auto_confirm', 'buyer'))
+      .toThrow(expect.objectContaining({ statusCode: 403 }));
+  });
+
+  it('requires the action\'s payload fields', () => {
+    expect(() => assertTransition(contract('accepted'), 'cancel', 'buyer', {}))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'VALIDATION_ERROR', details: 'Required: reasonCode' }));
+    expect(() => assertTransition(contract('delivered'), 'admin_cancel', 'admin', { reason: '' }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  it('only lets an admin cancel once goods are dispatched', () => {
+    expect(() => assertTransition(contract('dispatched'), 'cancel', 'buyer', { reasonCode: 'other' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_TRANSITION' }));
+    expect(assertTransition(contract('dispatched'), 'admin_cancel', 'admin', { reason: 'fraud' }).to).toBe('cancelled');
+  });
+
+  it('never moves a contract out of a closed status', () => {
+    for (const status of ['completed', 'cancelled']) {
+      expect(getAvailableActions(contract(status), 'farmer')).toEqual([]);
+      expect(getAvailableActions(contract(status), 'buyer')).toEqual([]);
+      expect(getAvailableActions(contract(status), 'admin')).toEqual([]);
+    }
+  });
+});
+
+describeWithDatabase('applyTransition', () => {
+  let farmer;
+  let buyer;
+  let listing;
+
+  beforeEach(async () => {
+    await resetDatabase();
+
+    [farmer, buyer] = await Promise.all([createUser('farmer'), createUser('buyer')]);
+    listing = await createListing(farmer);
+  });
+
+  afterAll(() => prisma.$disconnect());
+
+  const events = (contractId) => prisma.contractEvent.findMany({ where: { contractId } });
+
+  it('updates the status and records the event', async () => {
+    const accepted = await createContract(listing, buyer, { status: 'accepted' });
+    const dispatchedAt = new Date();
+
+    const updated = await prisma.$transaction(tx => applyTransition(tx, accepted, 'dispatch', {
+      actorId: farmer.id,
+      actorRole: 'farmer',
+      notes: 'Loaded at the farm gate',
+      data: { dispatchedAt },
+    }));
+
+    expect(updated).toMatchObject({ status: 'dispatched', dispatchedAt });
+    expect(await events(accepted.id)).toEqual([expect.objectContaining({
+      action: 'dispatch',
+      actorId: farmer.id,
+      actorRole: 'farmer',
+      fromStatus: 'accepted',
+      toStatus: 'dispatched',
+      reasonCode: null,
+      notes: 'Loaded at the farm gate',
+    })]);
+  });
+
+  it('writes nothing when the transition is not allowed', async () => {
+    const completed = await createContract(listing, buyer, { status: 'completed' });
+
+    await expect(prisma.$transaction(tx => applyTransition(tx, completed, 'cancel', {
+      actorId: buyer.id,
+      actorRole: 'buyer',
+      payload: { reasonCode: 'other' },
+    }))).rejects.toMatchObject({ code: 'INVALID_TRANSITION' });
+
+    expect((await prisma.contract.findUnique({ where: { id: completed.id } })).status).toBe('completed');
+    expect(await events(completed.id)).toEqual([]);
+  });
+
+  it('keeps the terms fixed once a contract is accepted', async () => {
+    const accepted = await createContract(listing, buyer, { status: 'accepted', terms: 'Agreed terms' });
+
+    await expect(prisma.$transaction(tx => applyTransition(tx, accepted, 'start', {
+      actorRole: 'farmer',
+      data: { terms: 'New terms' },
+    }))).rejects.toMatchObject({ statusCode: 409, code: 'TERMS_LOCKED' });
+
+    const requested = await createContract(listing, buyer);
+    const updated = await prisma.$transaction(tx => applyTransition(tx, requested, 'accept', {
+      actorRole: 'farmer',
+      data: { terms: 'Agreed terms' },
+    }));
+
+    expect(updated).toMatchObject({ status: 'accepted', terms: 'Agreed terms' });
+    expect((await prisma.contract.findUnique({ where: { id: accepted.id } })).terms).toBe('Agreed terms');
+  });
+});
+
+describe('getAvailableActions', () => {
+  it('lists what each party can do next', () => {
+    expect(getAvailableActions(contract('requested'), 'farmer')).toEqual(['accept', 'reject', 'cancel']);
+    expect(getAvailableActions(contract('requested'), 'buyer')).toEqual(['reject', 'cancel']);
+    expect(getAvailableActions(contract('accepted'), 'farmer')).toEqual(['reject', 'start', 'dispatch', 'cancel']);
+    expect(getAvailableActions(contract('dispatched'), 'farmer')).toEqual(['deliver']);
+    expect(getAvailableActions(contract('dispatched'), 'buyer')).toEqual(['receive']);
+    expect(getAvailableActions(contract('delivered'), 'admin')).toEqual(['admin_cancel']);
+  });
+});
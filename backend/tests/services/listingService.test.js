@@ -0,0 +1,62 @@
+const { Prisma } = require('@prisma/client');
+const { allocateQuantity, releaseQuantity } = require('../../src/services/listingService');
+const { prisma, describeWithDatabase, resetDatabase, createUser, createListing } = require('../helpers/database');
+
+/**
+ * Allocate in a transaction of its own, as accepting a request does
+ */
+const allocate = (listingId, quantity) => {
+  return prisma.$transaction(tx => allocateQuantity(tx, listingId, new Prisma.Decimal(quantity)));
+};
+
+const reload = (listing) => prisma.contractListing.findUnique({ where: { id: listing.id } });
+
+describeWithDatabase('listing quantity allocation', () => {
+  let listing;
+
+  beforeEach(async () => {
+    await resetDatabase();
+    listing = await createListing(await createUser('farmer'), { quantity: 100 });
+  });
+
+  afterAll(() => prisma.$disconnect());
+
+  it('never allocates more than is available to concurrent accepts', async () => {
+    const results = await Promise.all([60, 60, 60].map(quantity => allocate(listing.id, quantity)));
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    expect(await reload(listing)).toMatchObject({
+      availableQuantity: new Prisma.Decimal(40),
+      status: 'active',
+    });
+  });
+
+  it('marks the listing contracted once all of it is allocated', async () => {
+    const results = await Promise.all([50, 30, 20].map(quantity => allocate(listing.id, quantity)));
+
+    expect(results).toEqual([true, true, true]);
+    expect(await reload(listing)).toMatchObject({
+      availableQuantity: new Prisma.Decimal(0),
+      status: 'contracted',
+    });
+    await expect(allocate(listing.id, '0.01')).resolves.toBe(false);
+  });
+
+  it('allocates nothing from listings that are not active', async () => {
+    await prisma.contractListing.update({ where: { id: listing.id }, data: { status: 'removed' } });
+
+    await expect(allocate(listing.id, 10)).resolves.toBe(false);
+    expect((await reload(listing)).availableQuantity).toEqual(new Prisma.Decimal(100));
+  });
+
+  it('returns released quantity and reopens a contracted listing', async () => {
+    await allocate(listing.id, 100);
+
+    await prisma.$transaction(tx => releaseQuantity(tx, listing.id, new Prisma.Decimal(25)));
+
+    expect(await reload(listing)).toMatchObject({
+      availableQuantity: new Prisma.Decimal(25),
+      status: 'active',
+    });
+  });
+});
@@ -0,0 +1,4 @@
+// Database tests run against TEST_DATABASE_URL, never the development database
+if (process.env.TEST_DATABASE_URL) {
+  process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+}
@@ -0,0 +1,192 @@
+const { getPageParams, paginate, paginateIds, buildPagination } = require('../../src/utils/pagination');
+const { prisma, describeWithDatabase, resetDatabase, createUser } = require('../helpers/database');
+
+const cursorFor = (id) => Buffer.from(JSON.stringify({ id })).toString('base64url');
+
+const ids = (items) => items.map(item => item.id);
+
+describe('getPageParams', () => {
+  it('uses the default limit and no cursor', () => {
+    expect(getPageParams({})).toEqual({ limit: 20, after: null, before: null, includeTotal: false });
+    expect(getPageParams({}, 10).limit).toBe(10);
+  });
+
+  it('reads the limit, cursors and includeTotal', () => {
+    expect(getPageParams({ limit: '5', after: cursorFor('row-03'), includeTotal: 'true' }))
+      .toEqual({ limit: 5, after: 'row-03', before: null, includeTotal: true });
+    expect(getPageParams({ before: cursorFor('row-07') }).before).toBe('row-07');
+  });
+
+  it('rejects limits outside 1 to MAX_PAGE_SIZE', () => {
+    for (const limit of ['0', '-1', '101', '2.5', 'ten']) {
+      expect(() => getPageParams({ limit }))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'VALIDATION_ERROR' }));
+    }
+    expect(getPageParams({ limit: '100' }).limit).toBe(100);
+  });
+
+  it('rejects both cursors at once', () => {
+    expect(() => getPageParams({ after: cursorFor('a'), before: cursorFor('b') }))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+
+  it('rejects cursors it did not issue', () => {
+    const forged = [
+      'not-a-cursor',
+      Buffer.from('{"id":42}').toString('base64url'),
+      Buffer.from('{"id":""}').toString('base64url'),
+      Buffer.from('[]').toString('base64url'),
+    ];
+
+    for (const after of forged) {
+      expect(() => getPageParams({ after }))
+        .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_CURSOR' }));
+    }
+  });
+});
+
+describeWithDatabase('paginate', () => {
+  const query = { where: { type: 'income' }, orderBy: { transactionDate: 'desc' } };
+  let expected;
+
+  beforeEach(async () => {
+    await resetDatabase();
+
+    const farmer = await createUser('farmer');
+
+    // Booked in pairs on the same day, so the id has to break ties
+    await prisma.transaction.createMany({
+      data: Array.from({ length: 25 }, (_, index) => ({
+        userId: farmer.id,
+        type: 'income',
+        category: 'sale',
+        amount: 100,
+        transactionDate: new Date(Date.UTC(2026, 0, Math.floor(index / 2) + 1)),
+      })),
+    });
+
+    expected = ids(await prisma.transaction.findMany({ orderBy: [{ transactionDate: 'desc' }, { id: 'asc' }] }));
+  });
+
+  afterAll(() => prisma.$disconnect());
+
+  it('walks forward through every row once, in order', async () => {
+    const seen = [];
+    let params = getPageParams({ limit: '10' });
+    let page;
+
+    do {
+      page = await paginate(prisma.transaction, query, params);
+      seen.push(...ids(page.items));
+      params = { ...params, after: page.pageInfo.endId };
+    } while (page.pageInfo.hasNext);
+
+    expect(seen).toEqual(expected);
+    expect(page.items).toHaveLength(5);
+    expect(page.pageInfo.hasPrevious).toBe(true);
+  });
+
+  it('goes back to the same previous page', async () => {
+    const params = getPageParams({ limit: '10' });
+    const first = await paginate(prisma.transaction, query, params);
+    const second = await paginate(prisma.transaction, query, { ...params, after: first.pageInfo.endId });
+    const back = await paginate(prisma.transaction, query, { ...params, before: second.pageInfo.startId });
+
+    expect(ids(back.items)).toEqual(ids(first.items));
+    expect(back.pageInfo).toMatchObject({ hasNext: true, hasPrevious: false });
+  });
+
+  it('does not shift pages when rows are added at the start', async () => {
+    const params = getPageParams({ limit: '10' });
+    const first = await paginate(prisma.transaction, query, params);
+
+    await prisma.transaction.create({
+      data: {
+        userId: first.items[0].userId,
+        type: 'income',
+        category: 'sale',
+        amount: 100,
+        transactionDate: new Date(Date.UTC(2026, 1, 1)),
+      },
+    });
+    const second = await paginate(prisma.transaction, query, { ...params, after: first.pageInfo.endId });
+
+    expect(ids(second.items)).toEqual(expected.slice(10, 20));
+  });
+
+  it('applies the filter and counts all matching rows only when asked', async () => {
+    expect((await paginate(prisma.transaction, query, getPageParams({}))).total).toBeUndefined();
+    expect((await paginate(prisma.transaction, query, getPageParams({ includeTotal: 'true' }))).total).toBe(25);
+
+    const none = await paginate(prisma.transaction, { ...query, where: { type: 'expense' } }, getPageParams({}));
+
+    expect(none.items).toEqual([]);
+    expect(none.pageInfo).toEqual({ hasNext: false, hasPrevious: false, startId: null, endId: null });
+  });
+});
+
+describe('paginateIds', () => {
+  const all = ['a', 'b', 'c', 'd', 'e'];
+
+  it('pages forward and back through a computed order', () => {
+    const params = getPageParams({ limit: '2' });
+    const first = paginateIds(all, params);
+    const second = paginateIds(all, { ...params, after: first.pageInfo.endId });
+    const last = paginateIds(all, { ...params, after: second.pageInfo.endId });
+    const back = paginateIds(all, { ...params, before: last.pageInfo.startId });
+
+    expect(first.ids).toEqual(['a', 'b']);
+    expect(first.pageInfo).toMatchObject({ hasNext: true, hasPrevious: false });
+    expect(second.ids).toEqual(['c', 'd']);
+    expect(last.ids).toEqual(['e']);
+    expect(last.pageInfo).toMatchObject({ hasNext: false, hasPrevious: true });
+    expect(back.ids).toEqual(['c', 'd']);
+  });
+
+  it('reports the total only when asked', () => {
+    expect(paginateIds(all, getPageParams({})).total).toBeUndefined();
+    expect(paginateIds(all, getPageParams({ includeTotal: 'true' })).total).toBe(5);
+  });
+
+  it('rejects a cursor whose item has dropped out', () => {
+    expect(() => paginateIds(all, { ...getPageParams({}), after: 'z' }))
+      .toThrow(expect.objectContaining({ statusCode: 400, code: 'INVALID_CURSOR' }));
+  });
+});
+
+describe('buildPagination', () => {
+  const req = { originalUrl: `/api/transactions?type=income&limit=2&after=${cursorFor('x')}` };
+
+  it('links to the neighbouring pages, keeping the other parameters', () => {
+    const pagination = buildPagination(req, { limit: 2 }, {
+      pageInfo: { hasNext: true, hasPrevious: true, startId: 'row-04', endId: 'row-05' },
+    });
+
+    expect(pagination).toEqual({
+      limit: 2,
+      hasNext: true,
+      hasPrevious: true,
+      nextCursor: cursorFor('row-05'),
+      prevCursor: cursorFor('row-04'),
+      next: `/api/transactions?type=income&limit=2&after=${cursorFor('row-05')}`,
+      prev: `/api/transactions?type=income&limit=2&before=${cursorFor('row-04')}`,
+    });
+  });
+
+  it('has no links at either end and adds the total when counted', () => {
+    const pagination = buildPagination(req, { limit: 2 }, {
+      pageInfo: { hasNext: false, hasPrevious: false, startId: 'row-00', endId: 'row-01' },
+      total: 2,
+    });
+
+    expect(pagination).toMatchObject({ hasNext: false, hasPrevious: false, next: null, prev: null, totalItems: 2 });
+  });
+
+  it('issues cursors getPageParams accepts', () => {
+    const { nextCursor } = buildPagination(req, { limit: 2 }, {
+      pageInfo: { hasNext: true, hasPrevious: false, startId: 'row-00', endId: 'row-01' },
+    });
+
+    expect(getPageParams({ after: nextCursor }).after).toBe('row-01');
+  });
+});